@@ -0,0 +1,200 @@
+#!/usr/bin/env bun
+
+/**
+ * Audit exported products for missing or inconsistent catalog data. Reads the
+ * output of export-products.js from stdin (JSONL) and outputs a JSON report
+ * with a summary and the issues per product to stdout.
+ *
+ * Checks:
+ *   - seoTitle, seoDescription: empty SEO fields
+ *   - category: no product category
+ *   - mediaAltText: images without alt text
+ *   - variantSku, variantBarcode: variants without SKU or barcode
+ *   - duplicateSku: SKUs used by more than one variant
+ *   - compareAtPrice: compare-at price not higher than the price
+ *   - requiredMetafields: empty metafields from --required=
+ * Checks on variants, media or metafields are skipped when the export left them out.
+ *
+ * Usage:
+ *   cat products.jsonl | bun scripts/audit-products.js > tmp/20260215-audit.json
+ *   cat products.jsonl | bun scripts/audit-products.js --required=details.material,details.care --csv=tmp/20260215-audit.csv > tmp/20260215-audit.json
+ *
+ * Flags:
+ *   --required=   comma-separated namespace.key metafields that must have a value
+ *   --csv=        also write a CSV with one row per product with issues
+ **/
+
+const write = (s) => Bun.stderr.write(s + "\n");
+const log = (...args) => write(args.join(" "));
+const success = (...args) => write(`\x1b[32m✔︎\x1b[0m ${args.join(" ")}`);
+const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
+const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
+const data = (o) => write(`\x1b[2m${JSON.stringify(o)}\x1b[0m`);
+
+const flag = (name) => {
+  const f = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return f ? f.split("=").slice(1).join("=") : undefined;
+};
+
+const required = (flag("required") || "").split(",").filter(Boolean);
+const csvPath = flag("csv");
+
+const CHECKS = [
+  "seoTitle",
+  "seoDescription",
+  "category",
+  "mediaAltText",
+  "variantSku",
+  "variantBarcode",
+  "duplicateSku",
+  "compareAtPrice",
+  "requiredMetafields",
+];
+
+const isEmpty = (v) => v === null || v === undefined || String(v).trim() === "";
+
+/** Issues for a single product, as { check, message, items? }. */
+function auditProduct(product) {
+  const issues = [];
+  const issue = (check, message, items) => issues.push({ check, message, ...(items ? { items } : {}) });
+
+  if (isEmpty(product.seo?.title)) issue("seoTitle", "SEO title is empty");
+  if (isEmpty(product.seo?.description)) issue("seoDescription", "SEO description is empty");
+  if (!product.category) issue("category", "No product category");
+
+  if (product.media) {
+    const images = product.media.filter((m) => m.mediaContentType === "IMAGE");
+    const missing = images.filter((m) => isEmpty(m.image?.altText));
+    if (missing.length) {
+      issue("mediaAltText", `${missing.length} of ${images.length} images without alt text`, missing.map((m) => m.id || m.image?.url));
+    }
+  }
+
+  if (product.variants) {
+    const noSku = product.variants.filter((v) => isEmpty(v.sku));
+    if (noSku.length) issue("variantSku", `${noSku.length} of ${product.variants.length} variants without SKU`, noSku.map((v) => v.id));
+
+    const noBarcode = product.variants.filter((v) => isEmpty(v.barcode));
+    if (noBarcode.length) {
+      issue("variantBarcode", `${noBarcode.length} of ${product.variants.length} variants without barcode`, noBarcode.map((v) => v.id));
+    }
+
+    const badCompare = product.variants.filter(
+      (v) => !isEmpty(v.compareAtPrice) && Number(v.compareAtPrice) <= Number(v.price),
+    );
+    if (badCompare.length) {
+      issue(
+        "compareAtPrice",
+        `${badCompare.length} variants with compare-at price not above price`,
+        badCompare.map((v) => `${v.id} (${v.compareAtPrice} <= ${v.price})`),
+      );
+    }
+  }
+
+  if (product.metafields && required.length) {
+    const values = new Map(product.metafields.map((m) => [`${m.namespace}.${m.key}`, m.value]));
+    const missing = required.filter((key) => isEmpty(values.get(key)));
+    if (missing.length) issue("requiredMetafields", `Empty: ${missing.join(", ")}`, missing);
+  }
+
+  return issues;
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function toCsv(products) {
+  const header = ["Handle", "Title", "Status", "Issues", ...CHECKS];
+  const rows = products
+    .filter((p) => p.issues.length)
+    .map((p) => {
+      const byCheck = Object.fromEntries(p.issues.map((i) => [i.check, i.message]));
+      return [p.handle, p.title, p.status, p.issues.length, ...CHECKS.map((c) => byCheck[c] || "")];
+    });
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+async function run() {
+  const reader = Bun.stdin.stream().getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const products = [];
+  /** SKU → variant ids, to find duplicates across the catalog */
+  const skus = new Map();
+
+  log("Reading products from stdin...");
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += done ? "\n" : decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      const product = JSON.parse(line);
+      for (const v of product.variants || []) {
+        if (isEmpty(v.sku)) continue;
+        skus.set(v.sku, [...(skus.get(v.sku) || []), v.id]);
+      }
+
+      products.push({
+        id: product.id,
+        handle: product.handle,
+        title: product.title,
+        status: product.status,
+        skus: (product.variants || []).map((v) => v.sku).filter((s) => !isEmpty(s)),
+        issues: auditProduct(product),
+      });
+    }
+
+    if (done) break;
+  }
+
+  /** Duplicates are only known once every product is read */
+  for (const product of products) {
+    const duplicates = [...new Set(product.skus.filter((s) => skus.get(s).length > 1))];
+    if (duplicates.length) {
+      product.issues.push({ check: "duplicateSku", message: `Duplicate SKUs: ${duplicates.join(", ")}`, items: duplicates });
+    }
+    delete product.skus;
+  }
+
+  const checks = Object.fromEntries(
+    CHECKS.map((check) => [check, products.filter((p) => p.issues.some((i) => i.check === check)).length]),
+  );
+  const withIssues = products.filter((p) => p.issues.length);
+
+  const report = {
+    summary: {
+      products: products.length,
+      productsWithIssues: withIssues.length,
+      duplicateSkus: [...skus].filter(([, ids]) => ids.length > 1).length,
+      checks,
+    },
+    products: withIssues,
+  };
+
+  console.log(JSON.stringify(report, null, 2));
+
+  for (const [check, count] of Object.entries(checks)) {
+    if (count) log(`${check}: ${count} products`);
+  }
+
+  if (csvPath) {
+    await Bun.write(csvPath, toCsv(products));
+    log(`CSV written to ${csvPath}`);
+  }
+
+  success(`${products.length} products audited, ${withIssues.length} with issues`);
+}
+
+run().catch((err) => {
+  error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,335 @@
+#!/usr/bin/env bun
+
+/**
+ * Convert between export-products.js JSONL and Shopify's product CSV format,
+ * for reviewing in a spreadsheet or one-off fixes with Shopify's CSV importer.
+ *
+ * --to=csv: reads JSONL from stdin, outputs CSV to stdout.
+ *   - one row per variant, with Handle repeated
+ *   - product columns and option names on the first row only
+ *   - images on the rows in order, extra rows with only Handle and image when
+ *     a product has more images than variants
+ *   - metafields as "Name (product.metafields.ns.key)" and
+ *     "Name (variant.metafields.ns.key)" columns, with the raw metafield value
+ *   - no inventory quantities, so an import can't overwrite stock
+ *
+ * --to=jsonl: reads CSV from stdin, outputs one product per line (JSONL) in
+ * the export's shape, ready for generate-descriptions.js or the audit. The
+ * CSV has no ids, rows are matched by handle instead. Columns that aren't in
+ * the CSV are left out of the products. Edits can be imported with
+ * import-descriptions.js: products also get the fields it reads, descriptionHtml
+ * is imported as-is, longDescription comes from the longDescription metafield
+ * column and seoTitle and seoDescription from the SEO columns.
+ *
+ * Usage:
+ *   cat products.jsonl | bun scripts/convert-products.js --to=csv > tmp/20260215-products.csv
+ *   cat tmp/20260215-products.csv | bun scripts/convert-products.js --to=jsonl > tmp/20260215-products.jsonl
+ *
+ * Flags:
+ *   --to=   csv or jsonl
+ **/
+
+const write = (s) => Bun.stderr.write(s + "\n");
+const log = (...args) => write(args.join(" "));
+const success = (...args) => write(`\x1b[32m✔︎\x1b[0m ${args.join(" ")}`);
+const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
+const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
+const data = (o) => write(`\x1b[2m${JSON.stringify(o)}\x1b[0m`);
+
+const flag = (name) => {
+  const f = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return f ? f.split("=").slice(1).join("=") : undefined;
+};
+
+const to = flag("to");
+
+if (!["csv", "jsonl"].includes(to)) {
+  error("--to=csv or --to=jsonl is required");
+  process.exit(1);
+}
+
+/** Shopify's product CSV columns, in the order of their template */
+const COLUMNS = [
+  "Handle",
+  "Title",
+  "Body (HTML)",
+  "Vendor",
+  "Product Category",
+  "Type",
+  "Tags",
+  "Published",
+  "Option1 Name",
+  "Option1 Value",
+  "Option2 Name",
+  "Option2 Value",
+  "Option3 Name",
+  "Option3 Value",
+  "Variant SKU",
+  "Variant Inventory Policy",
+  "Variant Price",
+  "Variant Compare At Price",
+  "Variant Taxable",
+  "Variant Barcode",
+  "Image Src",
+  "Image Position",
+  "Image Alt Text",
+  "Gift Card",
+  "SEO Title",
+  "SEO Description",
+  "Variant Image",
+  "Status",
+];
+
+const METAFIELD_COLUMN = /^(.*) \((product|variant)\.metafields\.([^.]+)\.(.+)\)$/;
+
+const bool = (v) => (v === undefined ? "" : v ? "TRUE" : "FALSE");
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Parse CSV text into rows of cells. Quoted cells can contain commas, quotes and newlines. */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
+
+/** Metafield column name per owner and namespace.key, labelled with the definition name. */
+function metafieldColumns(products) {
+  const columns = new Map();
+  const add = (owner, m) => {
+    const id = `${owner}.metafields.${m.namespace}.${m.key}`;
+    if (!columns.has(id)) columns.set(id, `${m.definition?.name || m.key} (${id})`);
+  };
+
+  for (const product of products) {
+    for (const m of product.metafields || []) add("product", m);
+    for (const v of product.variants || []) for (const m of v.metafields || []) add("variant", m);
+  }
+  return columns;
+}
+
+/** The CSV rows of one product, as objects by column name. */
+function productRows(product, columns) {
+  const variants = product.variants || [];
+  const images = product.media
+    ? product.media.filter((m) => m.mediaContentType === "IMAGE").map((m) => m.image)
+    : [product.featuredMedia?.image].filter(Boolean);
+  const options = (product.options || []).slice(0, 3);
+  const rows = [];
+
+  for (let i = 0; i < Math.max(variants.length, images.length, 1); i++) {
+    const row = { Handle: product.handle };
+
+    if (i === 0) {
+      Object.assign(row, {
+        Title: product.title,
+        "Body (HTML)": product.descriptionHtml,
+        Vendor: product.vendor,
+        "Product Category": product.category?.fullName,
+        Type: product.productType,
+        Tags: product.tags?.join(", "),
+        Published: product.publishedAt === undefined ? "" : bool(product.publishedAt),
+        "Gift Card": bool(product.isGiftCard),
+        "SEO Title": product.seo?.title,
+        "SEO Description": product.seo?.description,
+        Status: product.status?.toLowerCase(),
+      });
+      options.forEach((o, j) => (row[`Option${j + 1} Name`] = o.name));
+      for (const m of product.metafields || []) row[columns.get(`product.metafields.${m.namespace}.${m.key}`)] = m.value;
+    }
+
+    const variant = variants[i];
+    if (variant) {
+      options.forEach((o, j) => {
+        row[`Option${j + 1} Value`] = variant.selectedOptions?.find((s) => s.name === o.name)?.value;
+      });
+      Object.assign(row, {
+        "Variant SKU": variant.sku,
+        "Variant Inventory Policy": variant.inventoryPolicy?.toLowerCase(),
+        "Variant Price": variant.price,
+        "Variant Compare At Price": variant.compareAtPrice,
+        "Variant Taxable": bool(variant.taxable),
+        "Variant Barcode": variant.barcode,
+        "Variant Image": variant.image?.url,
+      });
+      for (const m of variant.metafields || []) row[columns.get(`variant.metafields.${m.namespace}.${m.key}`)] = m.value;
+    }
+
+    const image = images[i];
+    if (image) {
+      Object.assign(row, { "Image Src": image.url, "Image Position": i + 1, "Image Alt Text": image.altText });
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/** Metafields from the "(owner.metafields.ns.key)" columns of a row. */
+function rowMetafields(row, owner) {
+  const metafields = [];
+  for (const [column, value] of Object.entries(row)) {
+    const match = column.match(METAFIELD_COLUMN);
+    if (!match || match[2] !== owner || value === "") continue;
+    const [, name, , namespace, key] = match;
+    metafields.push({ namespace, key, value, ...(name !== key ? { definition: { name } } : {}) });
+  }
+  return metafields;
+}
+
+/**
+ * Rebuild products from CSV rows, grouped by Handle. A cell of a column that
+ * isn't in the CSV is undefined, so JSON.stringify leaves the key out.
+ **/
+function csvProducts(rows) {
+  const [header, ...body] = rows;
+  const products = new Map();
+  const has = (name) => header.includes(name);
+
+  for (const cells of body) {
+    const row = Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ""]));
+    const cell = (name) => (has(name) ? row[name] || null : undefined);
+    const flagValue = (name) => (row[name] ? row[name].toUpperCase() === "TRUE" : undefined);
+    if (!row.Handle) {
+      warning(`Skipping row without Handle: ${cells.join(",").slice(0, 80)}`);
+      continue;
+    }
+
+    let product = products.get(row.Handle);
+    if (!product) {
+      const html = cell("Body (HTML)");
+      product = {
+        handle: row.Handle,
+        title: cell("Title"),
+        description: html ? html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim() : html,
+        descriptionHtml: html,
+        productType: cell("Type"),
+        vendor: cell("Vendor"),
+        status: cell("Status")?.toUpperCase(),
+        tags: has("Tags") ? (row.Tags || "").split(",").map((t) => t.trim()).filter(Boolean) : undefined,
+        isGiftCard: flagValue("Gift Card"),
+        seo: has("SEO Title") || has("SEO Description") ? { title: cell("SEO Title"), description: cell("SEO Description") } : undefined,
+        category: has("Product Category") ? (row["Product Category"] ? { fullName: row["Product Category"] } : null) : undefined,
+        options: [1, 2, 3].map((n) => row[`Option${n} Name`]).filter(Boolean).map((name, i) => ({ name, position: i + 1, values: [] })),
+        metafields: rowMetafields(row, "product"),
+        variants: [],
+        media: [],
+      };
+
+      /** The fields import-descriptions.js reads, besides descriptionHtml */
+      product.longDescription = product.metafields.find((m) => m.key === "longDescription")?.value;
+      product.seoTitle = cell("SEO Title");
+      product.seoDescription = cell("SEO Description");
+      products.set(row.Handle, product);
+    }
+
+    const isVariant = ["Option1 Value", "Variant SKU", "Variant Price"].some((c) => row[c]);
+    if (isVariant) {
+      const selectedOptions = product.options
+        .map((o, i) => ({ name: o.name, value: row[`Option${i + 1} Value`] }))
+        .filter((o) => o.value);
+      for (const { name, value } of selectedOptions) {
+        const option = product.options.find((o) => o.name === name);
+        if (!option.values.includes(value)) option.values.push(value);
+      }
+
+      product.variants.push({
+        title: selectedOptions.map((o) => o.value).join(" / ") || undefined,
+        sku: cell("Variant SKU"),
+        barcode: cell("Variant Barcode"),
+        price: cell("Variant Price"),
+        compareAtPrice: cell("Variant Compare At Price"),
+        inventoryPolicy: cell("Variant Inventory Policy")?.toUpperCase(),
+        taxable: flagValue("Variant Taxable"),
+        selectedOptions,
+        image: row["Variant Image"] ? { url: row["Variant Image"] } : undefined,
+        metafields: rowMetafields(row, "variant"),
+      });
+    }
+
+    if (row["Image Src"]) {
+      product.media.push({
+        mediaContentType: "IMAGE",
+        image: { url: row["Image Src"], altText: cell("Image Alt Text") ?? null },
+      });
+    }
+  }
+
+  return [...products.values()];
+}
+
+async function run() {
+  const text = (await Bun.stdin.text()).replace(/^\uFEFF/, "");
+
+  if (to === "csv") {
+    const products = text
+      .split("\n")
+      .filter((l) => l.trim())
+      .map((l) => JSON.parse(l));
+    const columns = metafieldColumns(products);
+    const header = [...COLUMNS, ...columns.values()];
+
+    const lines = [header.map(csvCell).join(",")];
+    let rows = 0;
+    for (const product of products) {
+      for (const row of productRows(product, columns)) {
+        lines.push(header.map((c) => csvCell(row[c])).join(","));
+        rows++;
+      }
+    }
+
+    console.log(lines.join("\n"));
+    success(`${products.length} products, ${rows} rows, ${columns.size} metafield columns`);
+    return;
+  }
+
+  const rows = parseCsv(text);
+  if (!rows[0]?.includes("Handle")) throw new Error("CSV has no Handle column");
+
+  const products = csvProducts(rows);
+  for (const product of products) console.log(JSON.stringify(product));
+  success(`${rows.length - 1} rows, ${products.length} products`);
+}
+
+run().catch((err) => {
+  error(err.message);
+  process.exit(1);
+});
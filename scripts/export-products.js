@@ -2,15 +2,67 @@
 
 /**
  * Export all Shopify products with all fields and metafields.
+ * Reference metafields get the referenced node as "reference" (or "references"
+ * for lists), JSON and list values are parsed into "parsed".
  * Uses a two-pass approach to stay within query cost limits:
  *   1. Fetch products with scalar fields (50/page)
  *   2. For each product, fetch variants and metafields separately
- * Outputs one JSON object per line to stdout (JSONL).
+ * With --bulk, fetches the same fields through a single bulk operation instead,
+ * which is much faster for large catalogs. The output is identical.
+ * Requests are budgeted against the query cost bucket before they're sent and
+ * retried with backoff on 429, 5xx, throttling and network errors.
+ * Outputs one JSON object per line to stdout (JSONL), or to the --out= file.
  *
  * Usage:
  *   bun --env-file=.claude/skills/shopify/.env scripts/export-products.js > products.jsonl
+ *   bun --env-file=.claude/skills/shopify/.env scripts/export-products.js --bulk > products.jsonl
+ *   bun --env-file=.claude/skills/shopify/.env scripts/export-products.js --checkpoint=tmp/export.json --out=products.jsonl
+ *   bun --env-file=.claude/skills/shopify/.env scripts/export-products.js --since=2026-02-14 --merge=products.jsonl > products-new.jsonl
+ *   bun --env-file=.claude/skills/shopify/.env scripts/export-products.js --query="status:active vendor:Acme" --include=metafields --namespace=details > products.jsonl
+ *   bun --env-file=.claude/skills/shopify/.env scripts/export-products.js --include=variants,inventory --countries=DE,NL > products.jsonl
+ *
+ * Flags:
+ *   --bulk            use a bulk operation instead of paging
+ *   --query=          Shopify product search syntax, e.g. "status:active vendor:Acme"
+ *   --since=          only products updated after this ISO date
+ *   --include=        per-product passes to run (default: variants,media,metafields).
+ *                     "inventory" adds inventoryItem to variants, with its
+ *                     inventoryLevels per location flattened to a list:
+ *                     { id, tracked, inventoryLevels: [{ location: { id, name },
+ *                     available, committed, on_hand }] }
+ *   --countries=      comma-separated country codes, e.g. DE,NL. Adds the price in
+ *                     each country to variants as contextualPricing: { DE: { price,
+ *                     compareAtPrice } }. Variant pages get smaller with inventory
+ *                     and countries to keep the query cost within budget. Neither
+ *                     works with --bulk, and inventory changes don't update a
+ *                     product's updatedAt, so --since doesn't pick them up
+ *   --namespace=      only product and variant metafields in this namespace
+ *   --translations=   comma-separated locales, e.g. nl,de,fr. Adds existing translations
+ *                     and content digests to products and their text metafields
+ *   --checkpoint=     save progress after every page and resume from it on the
+ *                     next run. Removed when the export completes. Needs --out=,
+ *                     a resumed export appends to it and skips products that are
+ *                     already in it, so a page written just before a crash isn't
+ *                     repeated. Resuming needs the same --query, --since, --include,
+ *                     --namespace, --translations and --countries
+ *   --out=            write to this file instead of stdout
+ *   --merge=          previous full export; outputs a full snapshot where changed
+ *                     products replace their old lines and deleted ones are dropped
+ *   --concurrency=    max requests in flight (default: 4)
+ *   --retries=        retries per request on 429, 5xx, throttling or network errors (default: 5)
+ *   --record=         save every request and response, including the bulk download,
+ *                     to this directory
+ *   --replay=         serve responses from a --record= directory instead of the
+ *                     network. Throttle waits, retries and paging run as recorded,
+ *                     credentials aren't needed
+ *
+ * SHOPIFY_ENDPOINT overrides the GraphQL endpoint, e.g. a local stand-in server.
+ * SHOPIFY_STORE_DOMAIN and SHOPIFY_API_VERSION aren't needed then.
  **/
 
+import { openSync, writeSync } from "node:fs";
+import { mkdir, truncate, unlink } from "node:fs/promises";
+
 const write = (s) => Bun.stderr.write(s + "\n");
 const log = (...args) => write(args.join(" "));
 const success = (...args) => write(`\x1b[32m✔︎\x1b[0m ${args.join(" ")}`);
@@ -18,89 +70,404 @@ const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
 const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
 const data = (o) => write(`\x1b[2m${JSON.stringify(o)}\x1b[0m`);
 
+const flag = (name) => {
+  const f = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return f ? f.split("=").slice(1).join("=") : undefined;
+};
+
+const bulk = process.argv.includes("--bulk");
+const concurrency = Number(flag("concurrency") || 4);
+const maxRetries = Number(flag("retries") ?? 5);
+const productQuery = flag("query");
+const since = flag("since");
+const namespace = flag("namespace") || null;
+const locales = (flag("translations") || "").split(",").filter(Boolean);
+const checkpointPath = flag("checkpoint");
+const mergePath = flag("merge");
+const outPath = flag("out");
+
+if (since && Number.isNaN(Date.parse(since))) {
+  error(`--since=${since} is not a valid date`);
+  process.exit(1);
+}
+
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  error(`--concurrency=${flag("concurrency")} is not a positive whole number`);
+  process.exit(1);
+}
+
+if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+  error(`--retries=${flag("retries")} is not a whole number of 0 or more`);
+  process.exit(1);
+}
+
+const PASSES = ["variants", "media", "metafields", "inventory"];
+const DEFAULT_PASSES = ["variants", "media", "metafields"];
+const include = new Set((flag("include") ?? DEFAULT_PASSES.join(",")).split(",").filter(Boolean));
+for (const pass of include) {
+  if (!PASSES.includes(pass)) {
+    error(`--include=${pass} is not one of ${PASSES.join(", ")}`);
+    process.exit(1);
+  }
+}
+
+const countries = (flag("countries") || "").split(",").filter(Boolean).map((c) => c.toUpperCase());
+for (const country of countries) {
+  if (!/^[A-Z]{2}$/.test(country)) {
+    error(`--countries=${country} is not a two-letter country code`);
+    process.exit(1);
+  }
+}
+
+if ((include.has("inventory") || countries.length) && !include.has("variants")) {
+  error("--include=inventory and --countries need the variants pass");
+  process.exit(1);
+}
+
+if (bulk && (include.has("inventory") || countries.length)) {
+  error("--include=inventory and --countries can't be combined with --bulk");
+  process.exit(1);
+}
+
+const recordDir = flag("record");
+const replayDir = flag("replay");
+
+if (recordDir && replayDir) {
+  error("--record and --replay can't be combined");
+  process.exit(1);
+}
+
+if (checkpointPath && (bulk || mergePath)) {
+  error("--checkpoint can't be combined with --bulk or --merge");
+  process.exit(1);
+}
+
+if (checkpointPath && !outPath) {
+  error("--checkpoint needs --out=, a resumed export skips the products already in that file");
+  process.exit(1);
+}
+
+/**
+ * Shopify search syntax for the products connection. The base filter without
+ * --since is used to list all current products when merging.
+ **/
+const baseSearch = productQuery ? `(${productQuery})` : null;
+const search = since
+  ? [baseSearch, `updated_at:>'${new Date(since).toISOString()}'`].filter(Boolean).join(" AND ")
+  : baseSearch;
+
 const apiToken = process.env.SHOPIFY_ADMIN_API_TOKEN;
 const apiVersion = process.env.SHOPIFY_API_VERSION;
 const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
+const endpointOverride = process.env.SHOPIFY_ENDPOINT;
 
-if (!apiToken || !apiVersion || !storeDomain) {
+if (!replayDir && (!apiToken || (!endpointOverride && (!apiVersion || !storeDomain)))) {
   error("Missing SHOPIFY_ADMIN_API_TOKEN, SHOPIFY_API_VERSION, or SHOPIFY_STORE_DOMAIN");
   process.exit(1);
 }
 
-const endpoint = `https://${storeDomain}/admin/api/${apiVersion}/graphql.json`;
+const endpoint = endpointOverride || `https://${storeDomain}/admin/api/${apiVersion}/graphql.json`;
 
-async function shopify(query, variables = {}) {
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": apiToken,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Totals reported at the end of the export */
+const stats = { requests: 0, retries: 0, throttleWaits: 0, throttleWaitMs: 0 };
+
+/**
+ * Query cost bucket as last reported by Shopify, minus what's in flight.
+ * Requests reserve their expected cost before they're sent and wait for the
+ * bucket to refill instead of being throttled. The expected cost is the last
+ * requestedQueryCost seen for the same query.
+ **/
+const bucket = { available: null, maximum: 1000, restoreRate: 50, updatedAt: 0 };
+const queryCosts = new Map();
+const DEFAULT_QUERY_COST = 100;
+let inFlightCost = 0;
+
+async function reserve(cost) {
+  for (let waited = false; ; waited = true) {
+    const elapsed = (Date.now() - bucket.updatedAt) / 1000;
+    const available = bucket.available === null
+      ? bucket.maximum
+      : Math.min(bucket.maximum, bucket.available + elapsed * bucket.restoreRate);
+
+    if (available >= Math.min(cost, bucket.maximum)) {
+      bucket.available = available - cost;
+      bucket.updatedAt = Date.now();
+      return;
+    }
+
+    const wait = Math.ceil(((cost - available) / bucket.restoreRate) * 1000);
+    if (!waited) stats.throttleWaits++;
+    stats.throttleWaitMs += wait;
+    await sleep(wait);
+  }
+}
+
+function updateBucket(cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+  bucket.available = status.currentlyAvailable - inFlightCost;
+  bucket.maximum = status.maximumAvailable;
+  bucket.restoreRate = status.restoreRate;
+  bucket.updatedAt = Date.now();
+}
+
+/** Limit the number of requests in flight, queueing the rest */
+let active = 0;
+const waiting = [];
+
+async function acquire() {
+  if (active < concurrency) {
+    active++;
+    return;
+  }
+  await new Promise((r) => waiting.push(r));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+}
+
+/** Exponential backoff with jitter, or the server's Retry-After if given */
+function backoff(attempt, retryAfter) {
+  if (retryAfter && !Number.isNaN(Number(retryAfter))) return Number(retryAfter) * 1000;
+  return Math.min(30000, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+/** A request that isn't in the --replay= directory, retrying won't help */
+class MissingRecordingError extends Error {}
+
+/** Times each request was seen, so identical requests (polls, retries) replay in order */
+const recordings = new Map();
+
+function recordingPath(name, key) {
+  const hash = Bun.hash(key).toString(16).padStart(16, "0");
+  const n = (recordings.get(hash) || 0) + 1;
+  recordings.set(hash, n);
+  return `${recordDir || replayDir}/${name}-${hash}-${n}.json`;
+}
+
+/**
+ * fetch() with --record= and --replay=. Recordings are keyed by the request
+ * body, or the url for downloads, and hold the status, Retry-After and body.
+ * Network errors are recorded too and thrown again on replay.
+ **/
+async function fetchRecorded(name, url, init) {
+  if (!recordDir && !replayDir) return fetch(url, init);
+
+  const path = recordingPath(name, init?.body ?? url);
+
+  if (replayDir) {
+    const file = Bun.file(path);
+    if (!(await file.exists())) throw new MissingRecordingError(`No recording for ${name} at ${path}`);
+    const recorded = await file.json();
+    if (recorded.error) throw new Error(recorded.error);
+    return new Response(recorded.body, { status: recorded.status, headers: recorded.headers });
+  }
+
+  const request = init?.body ? JSON.parse(init.body) : url;
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (err) {
+    await Bun.write(path, JSON.stringify({ request, error: err.message }));
+    throw err;
+  }
+
+  const body = await response.text();
+  const retryAfter = response.headers.get("Retry-After");
+  const headers = retryAfter ? { "Retry-After": retryAfter } : {};
+  await Bun.write(path, JSON.stringify({ request, status: response.status, headers, body }));
+  return new Response(body, { status: response.status, headers });
+}
+
+/** Errors worth retrying: network failures, 429, 5xx and THROTTLED */
+class RetryableError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+async function send(query, variables) {
+  const cost = queryCosts.get(query) ?? DEFAULT_QUERY_COST;
+  await reserve(cost);
+  inFlightCost += cost;
+  stats.requests++;
+
+  let response;
+  try {
+    response = await fetchRecorded(query.match(/(?:query|mutation) (\w+)/)?.[1] ?? "request", endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": apiToken,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+  } catch (err) {
+    if (err instanceof MissingRecordingError) throw err;
+    throw new RetryableError(`Network: ${err.message}`);
+  } finally {
+    inFlightCost -= cost;
+  }
 
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Shopify API ${response.status}: ${text}`);
+    const message = `Shopify API ${response.status}: ${text}`;
+    if (response.status === 429 || response.status >= 500) {
+      throw new RetryableError(message, response.headers.get("Retry-After"));
+    }
+    throw new Error(message);
   }
 
   const json = await response.json();
-  if (json.errors) throw new Error(`GraphQL: ${JSON.stringify(json.errors)}`);
+  const reported = json.extensions?.cost;
+  if (reported) {
+    updateBucket(reported);
+    queryCosts.set(query, reported.requestedQueryCost);
+  }
 
-  const cost = json.extensions?.cost;
-  if (cost?.throttleStatus?.currentlyAvailable < 100) {
-    const wait = Math.ceil(cost.requestedQueryCost / cost.throttleStatus.restoreRate) * 1000;
-    log(`Throttled, waiting ${wait}ms`);
-    await new Promise((r) => setTimeout(r, wait));
+  if (json.errors) {
+    const message = `GraphQL: ${JSON.stringify(json.errors)}`;
+    if (json.errors.some((e) => e.extensions?.code === "THROTTLED")) throw new RetryableError(message);
+    throw new Error(message);
   }
 
   return json.data;
 }
 
+async function shopify(query, variables = {}) {
+  await acquire();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(query, variables);
+      } catch (err) {
+        if (!(err instanceof RetryableError) || attempt >= maxRetries) throw err;
+        const wait = backoff(attempt, err.retryAfter);
+        stats.retries++;
+        warning(`${err.message.slice(0, 120)}, retrying in ${wait}ms (${attempt + 1}/${maxRetries})`);
+        await sleep(wait);
+      }
+    }
+  } finally {
+    release();
+  }
+}
+
+/** Product scalar fields, options, SEO, featured media. */
+const PRODUCT_FIELDS = `
+  id
+  legacyResourceId
+  handle
+  title
+  description
+  descriptionHtml
+  productType
+  vendor
+  status
+  tags
+  templateSuffix
+  isGiftCard
+  hasOnlyDefaultVariant
+  hasOutOfStockVariants
+  totalInventory
+  tracksInventory
+  createdAt
+  updatedAt
+  publishedAt
+  onlineStoreUrl
+  onlineStorePreviewUrl
+  seo { title description }
+  category { id name fullName }
+  priceRangeV2 {
+    minVariantPrice { amount currencyCode }
+    maxVariantPrice { amount currencyCode }
+  }
+  compareAtPriceRange {
+    minVariantCompareAtPrice { amount currencyCode }
+    maxVariantCompareAtPrice { amount currencyCode }
+  }
+  options { id name position values }
+  featuredMedia {
+    ... on MediaImage { image { url altText width height } }
+  }
+`;
+
+const VARIANT_FIELDS = `
+  id
+  legacyResourceId
+  title
+  displayName
+  sku
+  barcode
+  price
+  compareAtPrice
+  position
+  availableForSale
+  inventoryQuantity
+  inventoryPolicy
+  taxable
+  createdAt
+  updatedAt
+  selectedOptions { name value }
+  image { url altText width height }
+`;
+
+/** Locations per variant in the inventory pass, more are reported as truncated */
+const LOCATIONS_PER_VARIANT = 25;
+
+/** Opt-in variant fields: inventory per location and price per country (aliased pricing_DE, ...) */
+const VARIANT_EXTRA_FIELDS = [
+  include.has("inventory")
+    ? `inventoryItem {
+    id
+    tracked
+    inventoryLevels(first: ${LOCATIONS_PER_VARIANT}) {
+      edges { node { location { id name } quantities(names: ["available", "committed", "on_hand"]) { name quantity } } }
+      pageInfo { hasNextPage }
+    }
+  }`
+    : "",
+  ...countries.map(
+    (c) => `pricing_${c}: contextualPricing(context: { country: ${c} }) {
+    price { amount currencyCode }
+    compareAtPrice { amount currencyCode }
+  }`,
+  ),
+].join("\n  ");
+
+/**
+ * Variants per page. Every location and country adds to the cost of each
+ * variant, so pages get smaller to keep a request under 1000 points.
+ **/
+const variantCost = 4 + (include.has("inventory") ? 4 + LOCATIONS_PER_VARIANT * 3 : 0) + countries.length * 3;
+const VARIANTS_PER_PAGE = Math.min(100, Math.floor(900 / variantCost));
+
+const MEDIA_FIELDS = `
+  id
+  mediaContentType
+  ... on MediaImage { image { url altText width height } }
+  ... on Video { sources { url mimeType } }
+  ... on ExternalVideo { originUrl }
+`;
+
+const METAFIELD_FIELDS = `id namespace key value type definition { name }`;
+
 /**
  * Pass 1: fetch product scalar fields, options, SEO, media.
  * 50 products/page keeps cost under 1000.
  **/
 const PRODUCTS_QUERY = `
-  query Products($cursor: String) {
-    products(first: 50, after: $cursor) {
+  query Products($cursor: String, $query: String) {
+    products(first: 50, after: $cursor, query: $query) {
       edges {
         node {
-          id
-          legacyResourceId
-          handle
-          title
-          description
-          descriptionHtml
-          productType
-          vendor
-          status
-          tags
-          templateSuffix
-          isGiftCard
-          hasOnlyDefaultVariant
-          hasOutOfStockVariants
-          totalInventory
-          tracksInventory
-          createdAt
-          updatedAt
-          publishedAt
-          onlineStoreUrl
-          onlineStorePreviewUrl
-          seo { title description }
-          category { id name fullName }
-          priceRangeV2 {
-            minVariantPrice { amount currencyCode }
-            maxVariantPrice { amount currencyCode }
-          }
-          compareAtPriceRange {
-            minVariantCompareAtPrice { amount currencyCode }
-            maxVariantCompareAtPrice { amount currencyCode }
-          }
-          options { id name position values }
-          featuredMedia {
-            ... on MediaImage { image { url altText width height } }
-          }
+          ${PRODUCT_FIELDS}
         }
       }
       pageInfo { hasNextPage endCursor }
@@ -112,26 +479,11 @@ const PRODUCTS_QUERY = `
 const VARIANTS_QUERY = `
   query Variants($id: ID!, $cursor: String) {
     product(id: $id) {
-      variants(first: 100, after: $cursor) {
+      variants(first: ${VARIANTS_PER_PAGE}, after: $cursor) {
         edges {
           node {
-            id
-            legacyResourceId
-            title
-            displayName
-            sku
-            barcode
-            price
-            compareAtPrice
-            position
-            availableForSale
-            inventoryQuantity
-            inventoryPolicy
-            taxable
-            createdAt
-            updatedAt
-            selectedOptions { name value }
-            image { url altText width height }
+            ${VARIANT_FIELDS}
+            ${VARIANT_EXTRA_FIELDS}
           }
         }
         pageInfo { hasNextPage endCursor }
@@ -147,10 +499,7 @@ const MEDIA_QUERY = `
       media(first: 250, after: $cursor) {
         edges {
           node {
-            mediaContentType
-            ... on MediaImage { image { url altText width height } }
-            ... on Video { sources { url mimeType } }
-            ... on ExternalVideo { originUrl }
+            ${MEDIA_FIELDS}
           }
         }
         pageInfo { hasNextPage endCursor }
@@ -161,17 +510,17 @@ const MEDIA_QUERY = `
 
 /** Fetch metafields for any node (Product or ProductVariant), paginated. */
 const METAFIELDS_QUERY = `
-  query Metafields($id: ID!, $cursor: String) {
+  query Metafields($id: ID!, $cursor: String, $namespace: String) {
     node(id: $id) {
       ... on Product {
-        metafields(first: 250, after: $cursor) {
-          edges { node { namespace key value type } }
+        metafields(first: 250, after: $cursor, namespace: $namespace) {
+          edges { node { ${METAFIELD_FIELDS} } }
           pageInfo { hasNextPage endCursor }
         }
       }
       ... on ProductVariant {
-        metafields(first: 250, after: $cursor) {
-          edges { node { namespace key value type } }
+        metafields(first: 250, after: $cursor, namespace: $namespace) {
+          edges { node { ${METAFIELD_FIELDS} } }
           pageInfo { hasNextPage endCursor }
         }
       }
@@ -179,6 +528,114 @@ const METAFIELDS_QUERY = `
   }
 `;
 
+/** Only ids, to find products that were deleted since a previous export. */
+const PRODUCT_IDS_QUERY = `
+  query ProductIds($cursor: String, $query: String) {
+    products(first: 250, after: $cursor, query: $query) {
+      edges { node { id } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/**
+ * Bulk mode: the same field set as one bulk operation, without pagination.
+ * Shopify writes every connection node as its own JSONL line with a
+ * __parentId. Media get an id so rows can be told apart.
+ **/
+function bulkQuery() {
+  const args = (a) => {
+    const list = Object.entries(a).filter(([, v]) => v);
+    return list.length ? `(${list.map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join(", ")})` : "";
+  };
+  const metafields = include.has("metafields")
+    ? `metafields${args({ namespace })} { edges { node { ${METAFIELD_FIELDS} } } }`
+    : "";
+
+  const variants = include.has("variants")
+    ? `variants { edges { node { ${VARIANT_FIELDS} ${metafields} } } }`
+    : "";
+
+  const media = include.has("media")
+    ? `media { edges { node { ${MEDIA_FIELDS} } } }`
+    : "";
+
+  return `
+    {
+      products${args({ query: search })} {
+        edges {
+          node {
+            ${PRODUCT_FIELDS}
+            ${metafields}
+            ${variants}
+            ${media}
+          }
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Existing translations and content digests, for products and their text
+ * metafields. Digests are required to register new translations later.
+ * Outdated translations are left out, so they're treated as missing.
+ **/
+const TRANSLATABLE_METAFIELD_TYPES = ["single_line_text_field", "multi_line_text_field", "rich_text_field"];
+
+const TRANSLATIONS_QUERY = `
+  query Translations($ids: [ID!]!) {
+    translatableResourcesByIds(first: 250, resourceIds: $ids) {
+      edges {
+        node {
+          resourceId
+          translatableContent { key digest }
+          ${locales.map((l, i) => `t${i}: translations(locale: ${JSON.stringify(l)}) { key value outdated }`).join("\n          ")}
+        }
+      }
+    }
+  }
+`;
+
+/** Nodes referenced by metafields, with the fields that describe them. */
+const REFERENCES_QUERY = `
+  query References($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      id
+      ... on Metaobject { type handle displayName fields { key type value } }
+      ... on Product { handle title productType vendor }
+      ... on ProductVariant { title sku product { title } }
+      ... on Collection { handle title }
+      ... on Page { handle title }
+      ... on MediaImage { image { url altText } }
+      ... on GenericFile { url alt }
+    }
+  }
+`;
+
+/** Metafield types whose value is JSON, besides json and list.* */
+const JSON_METAFIELD_TYPES = ["dimension", "volume", "weight", "rating", "money", "link", "rich_text_field"];
+
+const BULK_RUN_MUTATION = `
+  mutation BulkRun($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_STATUS_QUERY = `
+  query BulkStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
+
+const BULK_POLL_INTERVAL = 5000;
+
 async function fetchAllPages(query, variables, extract) {
   const items = [];
   let cursor = null;
@@ -197,39 +654,206 @@ async function fetchAllPages(query, variables, extract) {
 async function fetchMetafields(nodeId) {
   return fetchAllPages(
     METAFIELDS_QUERY,
-    { id: nodeId },
+    { id: nodeId, namespace },
     (d) => d.node.metafields,
   );
 }
 
-async function run() {
-  let cursor = null;
-  let total = 0;
+let truncatedInventory = 0;
 
-  log("Starting product export");
+/** Flatten inventory levels and move aliased prices into contextualPricing. */
+function variantExtras(variant) {
+  const out = { ...variant };
 
-  while (true) {
-    const data = await shopify(PRODUCTS_QUERY, { cursor });
-    const edges = data.products.edges;
+  if (variant.inventoryItem) {
+    const { inventoryLevels } = variant.inventoryItem;
+    if (inventoryLevels.pageInfo.hasNextPage) truncatedInventory++;
+    out.inventoryItem = {
+      ...variant.inventoryItem,
+      inventoryLevels: inventoryLevels.edges.map(({ node }) => ({
+        location: node.location,
+        ...Object.fromEntries(node.quantities.map((q) => [q.name, q.quantity])),
+      })),
+    };
+  }
 
-    for (const { node: product } of edges) {
-      /** Fetch variants, media, and product metafields */
-      const [variants, media, metafields] = await Promise.all([
-        fetchAllPages(VARIANTS_QUERY, { id: product.id }, (d) => d.product.variants),
-        fetchAllPages(MEDIA_QUERY, { id: product.id }, (d) => d.product.media),
-        fetchMetafields(product.id),
-      ]);
-
-      /** Fetch variant metafields */
-      const variantsWithMetafields = await Promise.all(
-        variants.map(async (variant) => ({
-          ...variant,
-          metafields: await fetchMetafields(variant.id),
-        })),
+  if (countries.length) {
+    out.contextualPricing = {};
+    for (const c of countries) {
+      out.contextualPricing[c] = variant[`pricing_${c}`];
+      delete out[`pricing_${c}`];
+    }
+  }
+
+  return out;
+}
+
+async function fetchDetails(product) {
+  /** Fetch variants, media, and product metafields, skipping excluded passes */
+  const [variants, media, metafields] = await Promise.all([
+    include.has("variants")
+      ? fetchAllPages(VARIANTS_QUERY, { id: product.id }, (d) => d.product.variants).then((v) => v.map(variantExtras))
+      : null,
+    include.has("media")
+      ? fetchAllPages(MEDIA_QUERY, { id: product.id }, (d) => d.product.media)
+      : null,
+    include.has("metafields") ? fetchMetafields(product.id) : null,
+  ]);
+
+  /** Fetch variant metafields */
+  const variantsWithMetafields =
+    variants && include.has("metafields")
+      ? await Promise.all(
+          variants.map(async (variant) => ({
+            ...variant,
+            metafields: await fetchMetafields(variant.id),
+          })),
+        )
+      : variants;
+
+  const out = { ...product };
+  if (metafields) out.metafields = metafields;
+  if (variantsWithMetafields) out.variants = variantsWithMetafields;
+  if (media) out.media = media;
+  return out;
+}
+
+/** Add translations and digests to products and their metafields, 250 resources per request. */
+async function attachTranslations(products) {
+  const resources = new Map();
+  for (const product of products) {
+    resources.set(product.id, product);
+    for (const m of product.metafields || []) {
+      if (TRANSLATABLE_METAFIELD_TYPES.includes(m.type)) resources.set(m.id, m);
+    }
+  }
+
+  const ids = [...resources.keys()];
+  for (let i = 0; i < ids.length; i += 250) {
+    const data = await shopify(TRANSLATIONS_QUERY, { ids: ids.slice(i, i + 250) });
+
+    for (const { node } of data.translatableResourcesByIds.edges) {
+      const resource = resources.get(node.resourceId);
+      resource.digests = Object.fromEntries(node.translatableContent.map((c) => [c.key, c.digest]));
+      resource.translations = Object.fromEntries(
+        locales.map((locale, j) => [
+          locale,
+          Object.fromEntries(node[`t${j}`].filter((t) => !t.outdated).map((t) => [t.key, t.value])),
+        ]),
       );
+    }
+  }
+}
 
-      const out = { ...product, metafields, variants: variantsWithMetafields, media };
-      console.log(JSON.stringify(out));
+/** Referenced nodes by id, shared between pages. null when the node is gone. */
+const referenceCache = new Map();
+
+/**
+ * Parse JSON and list metafield values, and attach the nodes that reference
+ * metafields point to. Nodes are fetched 250 per request, each only once.
+ **/
+async function resolveReferences(products) {
+  const metafields = products.flatMap((p) => [
+    ...(p.metafields || []),
+    ...(p.variants || []).flatMap((v) => v.metafields || []),
+  ]);
+
+  for (const m of metafields) {
+    if (m.type !== "json" && !m.type.startsWith("list.") && !JSON_METAFIELD_TYPES.includes(m.type)) continue;
+    try {
+      m.parsed = JSON.parse(m.value);
+    } catch {
+      warning(`${m.namespace}.${m.key} has a value that isn't valid JSON`);
+    }
+  }
+
+  const references = metafields.filter((m) => m.type.endsWith("_reference"));
+  const ids = references.flatMap((m) => (m.type.startsWith("list.") ? m.parsed || [] : [m.value]));
+  const missing = [...new Set(ids)].filter((id) => !referenceCache.has(id));
+
+  for (let i = 0; i < missing.length; i += 250) {
+    const batch = missing.slice(i, i + 250);
+    const data = await shopify(REFERENCES_QUERY, { ids: batch });
+    batch.forEach((id, j) => referenceCache.set(id, data.nodes[j]));
+  }
+
+  for (const m of references) {
+    if (m.type.startsWith("list.")) {
+      m.references = (m.parsed || []).map((id) => referenceCache.get(id)).filter(Boolean);
+    } else {
+      m.reference = referenceCache.get(m.value) ?? null;
+    }
+  }
+}
+
+/** Everything that decides which products are exported and their shape, a resume has to match it */
+const checkpointOptions = JSON.stringify({ search, include: [...include].sort(), namespace, locales, countries });
+
+async function loadCheckpoint() {
+  const file = Bun.file(checkpointPath);
+  if (!(await file.exists())) return null;
+
+  const checkpoint = await file.json();
+  if (JSON.stringify(checkpoint.options) !== checkpointOptions) {
+    throw new Error(
+      `Checkpoint ${checkpointPath} was made with a different filter, --include, --namespace, --translations or --countries, remove it to start over`,
+    );
+  }
+  return checkpoint;
+}
+
+/** Length of a file up to and including its last newline. */
+async function completeLength(file) {
+  const CHUNK = 65536;
+  for (let end = file.size; end > 0; end -= CHUNK) {
+    const start = Math.max(0, end - CHUNK);
+    const bytes = new Uint8Array(await file.slice(start, end).arrayBuffer());
+    const i = bytes.lastIndexOf(10);
+    if (i !== -1) return start + i + 1;
+  }
+  return 0;
+}
+
+/**
+ * Ids of the products in the --out= file of an interrupted export. A line cut
+ * off by the crash is removed, that product is exported again.
+ **/
+async function writtenIds() {
+  const file = Bun.file(outPath);
+  const ids = new Set();
+  if (!(await file.exists())) return ids;
+
+  const length = await completeLength(file);
+  if (length < file.size) {
+    warning(`${outPath} ends with an incomplete line, removing it`);
+    await truncate(outPath, length);
+  }
+
+  await readJsonl(Bun.file(outPath).stream(), (product) => ids.add(product.id));
+  return ids;
+}
+
+async function exportPaged(emit) {
+  const checkpoint = checkpointPath ? await loadCheckpoint() : null;
+  let cursor = checkpoint?.endCursor ?? null;
+  let total = checkpoint?.count ?? 0;
+
+  /** A page written right before the crash is fetched again, its products are already out */
+  const written = checkpoint ? await writtenIds() : new Set();
+
+  if (checkpoint) log(`Resuming product export after ${total} products`);
+  else log("Starting product export");
+
+  while (true) {
+    const data = await shopify(PRODUCTS_QUERY, { cursor, query: search });
+    const edges = data.products.edges;
+
+    /** The scheduler in shopify() limits how many of these run at once */
+    const products = await Promise.all(edges.map(({ node }) => fetchDetails(node)));
+    if (include.has("metafields")) await resolveReferences(products);
+    if (locales.length) await attachTranslations(products);
+    for (const product of products) {
+      if (!written.has(product.id)) emit(product);
       total++;
     }
 
@@ -237,12 +861,198 @@ async function run() {
 
     if (!data.products.pageInfo.hasNextPage) break;
     cursor = data.products.pageInfo.endCursor;
+
+    if (checkpointPath) {
+      await Bun.write(checkpointPath, JSON.stringify({ options: JSON.parse(checkpointOptions), endCursor: cursor, count: total }));
+    }
+  }
+
+  if (checkpointPath) await unlink(checkpointPath).catch(() => {});
+
+  return total;
+}
+
+/** Start a bulk operation and poll until Shopify has finished writing the file. */
+async function runBulkOperation(query) {
+  const { bulkOperationRunQuery: result } = await shopify(BULK_RUN_MUTATION, { query });
+  if (result.userErrors.length) throw new Error(`Bulk operation: ${JSON.stringify(result.userErrors)}`);
+
+  const id = result.bulkOperation.id;
+  log(`Bulk operation ${id} started`);
+
+  while (true) {
+    await sleep(BULK_POLL_INTERVAL);
+    const { node: operation } = await shopify(BULK_STATUS_QUERY, { id });
+
+    if (operation.status === "COMPLETED") return operation;
+    if (!["CREATED", "RUNNING"].includes(operation.status)) {
+      throw new Error(`Bulk operation ${operation.status}: ${operation.errorCode || "no error code"}`);
+    }
+
+    log(`Bulk operation ${operation.status.toLowerCase()}, ${operation.objectCount} objects`);
+  }
+}
+
+/** Read a JSONL stream, calling onLine for every parsed line. */
+async function readJsonl(stream, onLine) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += done ? "\n" : decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) onLine(JSON.parse(line));
+    }
+
+    if (done) break;
+  }
+}
+
+const gidType = (id) => id.split("/")[3];
+
+/**
+ * The --out= file, appended to when resuming from a checkpoint. Written
+ * synchronously like stdout, so a line is out before the checkpoint moves on.
+ **/
+let outFd = null;
+
+function output(product) {
+  if (outFd === null) console.log(JSON.stringify(product));
+  else writeSync(outFd, JSON.stringify(product) + "\n");
+}
+
+async function exportBulk(emit) {
+  log("Starting bulk product export");
+
+  const operation = await runBulkOperation(bulkQuery());
+  log(`Bulk operation completed, ${operation.objectCount} objects`);
+
+  /** No url means the query matched nothing */
+  if (!operation.url) return 0;
+
+  /**
+   * Rebuild the nested shape from the flat rows. Children always come after
+   * their parent, so every __parentId is known by the time it's referenced.
+   **/
+  const products = new Map();
+  const variants = new Map();
+
+  const response = await fetchRecorded("BulkDownload", operation.url);
+  if (!response.ok) throw new Error(`Bulk download ${response.status}: ${await response.text()}`);
+
+  await readJsonl(response.body, (row) => {
+    const { __parentId: parentId, ...node } = row;
+
+    if (!parentId) {
+      const product = { ...node };
+      if (include.has("metafields")) product.metafields = [];
+      if (include.has("variants")) product.variants = [];
+      if (include.has("media")) product.media = [];
+      products.set(node.id, product);
+      return;
+    }
+
+    const parent = products.get(parentId) || variants.get(parentId);
+    if (!parent) {
+      warning(`Skipping ${node.id}, parent ${parentId} not found`);
+      return;
+    }
+
+    const type = gidType(node.id);
+    if (type === "ProductVariant") {
+      const variant = include.has("metafields") ? { ...node, metafields: [] } : node;
+      variants.set(node.id, variant);
+      parent.variants.push(variant);
+    } else if (type === "Metafield") {
+      parent.metafields.push(node);
+    } else {
+      parent.media.push(node);
+    }
+  });
+
+  if (include.has("metafields")) await resolveReferences([...products.values()]);
+  if (locales.length) await attachTranslations([...products.values()]);
+  for (const product of products.values()) emit(product);
+
+  return products.size;
+}
+
+/**
+ * Write a full snapshot: the previous export with changed products replaced,
+ * deleted products dropped and new products appended.
+ **/
+async function writeMerged(changed) {
+  log("Fetching product ids to detect deletions");
+  const ids = new Set(
+    (await fetchAllPages(PRODUCT_IDS_QUERY, { query: baseSearch }, (d) => d.products)).map((p) => p.id),
+  );
+
+  const counts = { changed: 0, unchanged: 0, deleted: 0, added: 0 };
+
+  await readJsonl(Bun.file(mergePath).stream(), (product) => {
+    if (changed.has(product.id)) {
+      output(changed.get(product.id));
+      changed.delete(product.id);
+      counts.changed++;
+    } else if (ids.has(product.id)) {
+      output(product);
+      counts.unchanged++;
+    } else {
+      counts.deleted++;
+    }
+  });
+
+  for (const product of changed.values()) {
+    output(product);
+    counts.added++;
   }
 
-  success(`done, ${total} products`);
+  log(`${counts.changed} changed, ${counts.added} added, ${counts.deleted} deleted, ${counts.unchanged} unchanged`);
+  return counts.changed + counts.added + counts.unchanged;
+}
+
+function logStats() {
+  const waited = (stats.throttleWaitMs / 1000).toFixed(1);
+  log(`${stats.requests} requests, ${stats.retries} retries, ${stats.throttleWaits} throttle waits (${waited}s total)`);
+}
+
+async function run() {
+  if (mergePath && !(await Bun.file(mergePath).exists())) {
+    throw new Error(`--merge file ${mergePath} not found`);
+  }
+  if (recordDir) await mkdir(recordDir, { recursive: true });
+  if (outPath) {
+    const resuming = checkpointPath && (await Bun.file(checkpointPath).exists());
+    outFd = openSync(outPath, resuming ? "a" : "w");
+  }
+
+  /** Changed products are held in memory when merging, streamed otherwise */
+  const changed = new Map();
+  const emit = mergePath ? (product) => changed.set(product.id, product) : output;
+
+  const total = bulk ? await exportBulk(emit) : await exportPaged(emit);
+  const size = mergePath ? await writeMerged(changed) : null;
+  logStats();
+
+  if (truncatedInventory) {
+    warning(`${truncatedInventory} variants stocked at more than ${LOCATIONS_PER_VARIANT} locations, inventoryLevels truncated`);
+  }
+
+  if (mergePath) {
+    success(`done, ${total} products exported, ${size} in snapshot`);
+  } else {
+    success(`done, ${total} products`);
+  }
 }
 
 run().catch((err) => {
+  logStats();
   error(err.message);
   process.exit(1);
 });
@@ -0,0 +1,119 @@
+#!/usr/bin/env bun
+
+/**
+ * Generate image alt text using AI. Reads products from stdin (JSONL) and
+ * outputs one line per image in media to stdout (JSONL), with its "mediaId"
+ * so import-descriptions.js can apply it to that image:
+ *   { id, handle, title, mediaId, altText, issues }
+ *
+ * The image URL is sent to the model as vision input, resized to 1024px wide
+ * by the Shopify CDN, together with the product's details.
+ *
+ * Works per image where generate-descriptions.js works per product, otherwise
+ * the flags, cache and rules are the same. Skips images that already have alt
+ * text, unless --overwrite. Products with media without an id are skipped
+ * with a warning. --resume skips images by mediaId, --rejects= and
+ * --leftover= get one line per image with only that image in media.
+ *
+ * Usage:
+ *   cat products.jsonl | bun scripts/generate-alt-text.js > tmp/20260215-alt-text.jsonl
+ *   cat products.jsonl | bun scripts/generate-alt-text.js --overwrite --config=tmp/brand.json > tmp/20260215-alt-text.jsonl
+ *   cat products.jsonl | bun scripts/generate-alt-text.js --estimate
+ *
+ * Flags: see generate-descriptions.js. --batch-size= defaults to 10, --locales
+ * is not supported.
+ *
+ * Config: the generate-descriptions.js config. Its "altText" key holds the
+ * fields, examples and productTypes for this script and overrides the rest:
+ *   { "storeName": "...", "altText": { "fields": {...}, "examples": "...", "rules": {...} } }
+ **/
+
+import { run } from "./lib/generate.js";
+
+const write = (s) => Bun.stderr.write(s + "\n");
+const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
+const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
+
+/** System prompt template, with the placeholders of generate-descriptions.js */
+const DEFAULT_PROMPT = `You write image alt text for {{storeName}}.
+
+You produce these fields per image:
+
+{{fields}}
+
+Style rules:
+- Write in {{language}}
+- Describe what is visible: the product, its color, material and setting
+- Don't start with "Image of" or "Photo of"
+- No marketing language, no first/second person
+- Use the product details for names. Do not guess brand or model names that aren't provided.
+
+Examples:
+
+{{examples}}`;
+
+const DEFAULT_CONFIG = {
+  storeName: "an online store",
+  language: "English",
+  model: "haiku",
+  batchSize: 10,
+  fields: {
+    altText: "alt text for the image. At most 125 characters, a single phrase. Describe what the image shows for someone who can't see it.",
+  },
+  examples: `Product: "Organic Cotton Crew Neck T-Shirt", a folded shirt on a table
+altText: "White organic cotton crew neck T-shirt folded on a wooden table"
+
+Product: "Stainless Steel Water Bottle 750ml", a bottle held outdoors
+altText: "Hand holding a brushed steel water bottle with a black screw cap on a mountain trail"`,
+  /** Checked after generation, "fields" overrides rules per output field */
+  rules: {
+    bannedWords: ["perfect", "amazing", "must-have", "incredible", "stunning", "ultimate", "image of", "picture of", "photo of"],
+    pronouns: ["you", "your", "yours", "we", "our", "ours", "us"],
+    fields: { altText: { maxChars: 125, maxSentences: 1 } },
+  },
+};
+
+/** The alt text of the unit's only image */
+const PRODUCT_FIELDS = {
+  altText: { value: (p) => p.media[0].image.altText },
+};
+
+/**
+ * One unit per image with a URL: the product with only that image in media.
+ * Images need their id to be imported. Products converted from a CSV or
+ * exported before media ids have none, and are skipped.
+ **/
+function images(product) {
+  const media = (product.media || []).filter((m) => m.mediaContentType === "IMAGE" && m.image?.url);
+  if (media.some((m) => !m.id)) {
+    warning(`${product.handle || product.id} has media without an id, skipped. Export the products from Shopify again`);
+    return [];
+  }
+  return media.map((m) => ({ ...product, media: [m] }));
+}
+
+/** Image URL resized by the Shopify CDN to save input tokens. */
+function imageUrl(product) {
+  const url = new URL(product.media[0].image.url);
+  url.searchParams.set("width", "1024");
+  return url.toString();
+}
+
+run({
+  prompt: DEFAULT_PROMPT,
+  config: DEFAULT_CONFIG,
+  configKey: "altText",
+  noun: "alt text",
+  items: "images",
+  item: "Image",
+  productFields: PRODUCT_FIELDS,
+  units: images,
+  unitKey: (p) => p.media[0].id,
+  rowKey: (row) => row.mediaId,
+  row: (p) => ({ mediaId: p.media[0].id }),
+  image: imageUrl,
+  translatable: false,
+}).catch((err) => {
+  error(err.message);
+  process.exit(1);
+});
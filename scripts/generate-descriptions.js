@@ -4,69 +4,124 @@
  * Generate product descriptions using AI. Reads products from stdin (JSONL),
  * outputs products with generated descriptions to stdout (JSONL).
  *
- * Two descriptions per product:
+ * Two descriptions per product by default:
  *   - description: short overview of materials and key features (1-2 sentences)
  *   - longDescription: practical details and specifications (1-2 sentences)
  *
- * Skips products that already have both descriptions, unless --overwrite.
+ * SEO titles and meta descriptions are generated by generate-seo.js, image
+ * alt text by generate-alt-text.js.
+ *
+ * Metafields are passed to the model labelled with their definition name, or
+ * their key when there's none. Referenced metaobjects, products and variants
+ * resolved by export-products.js are described by their names and fields.
+ *
+ * With --sanity-query=, the documents it returns are joined to products on the
+ * --sanity-join= metafield (single value or list). Their title or name and
+ * other fields replace the metafield in the prompt, Portable Text as plain
+ * text. Project the fields that matter in the query. Products that reference
+ * a key without a document are reported at the end.
+ *
+ * Skips products that already have all fields, unless --overwrite.
  * Batches 20 products per AI prompt to reduce cost.
+ * Failed batches are retried, then split in halves until only the failing
+ * products are left. Output is in input order.
  *
  * Usage:
  *   cat products.jsonl | bun scripts/generate-descriptions.js > tmp/20260215-descriptions.jsonl
  *   cat products.jsonl | bun scripts/generate-descriptions.js --overwrite > tmp/20260215-descriptions.jsonl
+ *   cat products.jsonl | bun scripts/generate-descriptions.js --rejects=tmp/20260215-rejects.jsonl > tmp/20260215-descriptions.jsonl
+ *   cat products.jsonl | bun scripts/generate-descriptions.js --config=tmp/brand.json --prompt-file=tmp/brand.md > tmp/20260215-descriptions.jsonl
+ *   cat products.jsonl | bun scripts/generate-descriptions.js --locales=nl,de,fr > tmp/20260215-translations.jsonl
+ *   cat products.jsonl | bun scripts/generate-descriptions.js --overwrite --estimate
+ *   cat products.jsonl | bun scripts/generate-descriptions.js --max-cost=5 --leftover=tmp/20260215-leftover.jsonl > tmp/20260215-descriptions.jsonl
+ *   cat products.jsonl | bun --env-file=.claude/skills/sanity/.env scripts/generate-descriptions.js --sanity-query='*[_type == "material"]{_type, id, title, description, care}' --sanity-join=details.material_id --sanity-key=id > tmp/20260215-descriptions.jsonl
+ *   cat products.jsonl | bun scripts/generate-descriptions.js --resume=tmp/20260215-descriptions.jsonl >> tmp/20260215-descriptions.jsonl
+ *
+ * Flags:
+ *   --overwrite      regenerate products that already have descriptions
+ *   --concurrency=   max batches in flight (default: 4)
+ *   --retries=       retries per batch before it's split (default: 2)
+ *   --rejects=       write products that still fail to this file (JSONL),
+ *                    ready to be piped back in
+ *   --prompt-file=   system prompt template, see DEFAULT_PROMPT for the placeholders
+ *   --config=        JSON with placeholder values, fields and per-productType overrides
+ *   --model=         overrides config.model (default: haiku)
+ *   --batch-size=    overrides config.batchSize (default: 20)
+ *   --locales=       comma-separated locales to generate instead of the primary
+ *                    language. Export with --translations= for the same locales
+ *                    so existing translations are skipped and digests are known
+ *   --cache=         cache file (default: tmp/generate-cache.jsonl)
+ *   --no-cache       don't read or write the cache
+ *   --resume=        partial output of an interrupted run, products in it are skipped
+ *   --fix-attempts=  times to re-prompt products that break the style rules (default: 2)
+ *   --estimate       report batches, approximate tokens and cost without calling
+ *                    the model. Outputs one JSON object to stdout
+ *   --max-cost=      budget in USD. Once the cost so far reaches it, no new batches
+ *                    are started. Batches in flight still finish, so it can go over
+ *   --leftover=      write products that weren't processed because of --max-cost
+ *                    to this file (JSONL), ready to be piped back in
+ *   --sanity-query=  GROQ query for Sanity documents to add to the prompt
+ *   --sanity-join=   namespace.key of the metafield that holds the document key
+ *   --sanity-key=    document field the metafield value matches (default: _id)
+ *   --record=        save every model result and the Sanity documents to this directory
+ *   --replay=        use the results in a --record= directory instead of calling the
+ *                    model or Sanity. Combine with --no-cache so every batch gets there
+ *
+ * The flags and config work the same in generate-seo.js and generate-alt-text.js,
+ * which share this script's generation in lib/generate.js.
+ *
+ * Every generated product is cached under a hash of its prompt attributes,
+ * the system prompt, model and locale. When nothing changed, the cached
+ * result is used instead of calling the model, also with --overwrite.
+ *
+ * Config (every key is optional, see DEFAULT_CONFIG):
+ *   {
+ *     "storeName": "Acme Outdoor", "tone": "Calm, practical tone", "language": "English",
+ *     "model": "haiku", "batchSize": 20,
+ *     "fields": { "description": "what to write in this field", ... },
+ *     "examples": "Product: ...",
+ *     "productTypes": { "Apparel": { "examples": "...", "tone": "..." } },
+ *     "rules": { "bannedWords": [...], "pronouns": [...], "maxSentences": 2, "maxChars": 400,
+ *                "checkNumbers": true, "fields": { "longDescription": { "maxChars": 600 } } }
+ *   }
+ *
+ * Each key in "fields" becomes an output field. "description" is compared to
+ * the product description, any other field to the metafield with that key.
+ * The "seo" and "altText" keys are for generate-seo.js and generate-alt-text.js,
+ * they take fields, examples and productTypes from there.
+ * "productTypes" overrides placeholder values for products of that type,
+ * those products are batched separately.
+ *
+ * Generated fields are checked against "rules": banned words, pronouns,
+ * sentence and character limits, and numbers that aren't in the product
+ * attributes. Products that break a rule are re-prompted with the issues.
+ * Every output line has an "issues" array with what's left after that.
+ *
+ * With --locales, outputs one line per product per locale. Existing source
+ * texts are translated, existing translations are passed along for
+ * consistency. "resources" holds the variables for translationsRegister:
+ *   { id, handle, title, locale, description, longDescription,
+ *     resources: [{ resourceId, translations: [{ locale, key, value, translatableContentDigest }] }] }
  **/
 
-import { query } from "@anthropic-ai/claude-agent-sdk";
+import { run } from "./lib/generate.js";
 
 const write = (s) => Bun.stderr.write(s + "\n");
-const log = (...args) => write(args.join(" "));
-const success = (...args) => write(`\x1b[32m✔︎\x1b[0m ${args.join(" ")}`);
-const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
 const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
-const data = (o) => write(`\x1b[2m${JSON.stringify(o)}\x1b[0m`);
-
-const overwrite = process.argv.includes("--overwrite");
-const BATCH_SIZE = 20;
 
-/** Build a flat object of all available product attributes for the prompt. */
-function extractAttributes(product) {
-  const mf = {};
-  for (const m of product.metafields || []) {
-    mf[m.key] = m.value;
-  }
-
-  return {
-    id: product.id,
-    title: product.title,
-    productType: product.productType || null,
-    vendor: product.vendor || null,
-    tags: product.tags || [],
-    existingDescription: product.description || null,
-    existingLongDescription: mf.longDescription || null,
-    /** Include all metafields so any product catalog works */
-    metafields: mf,
-  };
-}
-
-function needsGeneration(product) {
-  if (overwrite) return true;
-  const mf = {};
-  for (const m of product.metafields || []) mf[m.key] = m.value;
-  const hasDescription = product.description && product.description.trim().length > 0;
-  const hasLong = mf.longDescription && mf.longDescription.trim().length > 0;
-  return !hasDescription || !hasLong;
-}
-
-const SYSTEM_PROMPT = `You write product descriptions for an online store.
-
-You produce two descriptions per product:
+/**
+ * System prompt template. {{placeholders}} are filled from the config, with
+ * {{fields}} listing the output fields and their instructions.
+ **/
+const DEFAULT_PROMPT = `You write product descriptions for {{storeName}}.
 
-1. "description" — a short overview of the product's materials, composition, or key ingredients. 1-2 sentences. Focus on what the product is made of and what makes it notable.
+You produce these fields per product:
 
-2. "longDescription" — practical details like dimensions, specifications, or how to use the product. 1-2 sentences. Mention details a buyer would care about.
+{{fields}}
 
 Style rules:
-- Confident, direct tone
+- {{tone}}
+- Write in {{language}}
 - No superlatives or marketing fluff ("perfect", "amazing", "must-have")
 - No first/second person ("you", "we", "our")
 - Short sentences, simple words
@@ -74,174 +129,53 @@ Style rules:
 
 Examples:
 
-Product: "Organic Cotton Crew Neck T-Shirt" (type: T-Shirts, tags: organic, cotton, basics)
+{{examples}}`;
+
+const DEFAULT_CONFIG = {
+  storeName: "an online store",
+  tone: "Confident, direct tone",
+  language: "English",
+  model: "haiku",
+  batchSize: 20,
+  fields: {
+    description: "a short overview of the product's materials, composition, or key ingredients. 1-2 sentences. Focus on what the product is made of and what makes it notable.",
+    longDescription: "practical details like dimensions, specifications, or how to use the product. 1-2 sentences. Mention details a buyer would care about.",
+  },
+  examples: `Product: "Organic Cotton Crew Neck T-Shirt" (type: T-Shirts, tags: organic, cotton, basics)
 description: "Made from 100% organic cotton with a soft, breathable feel. A durable everyday fabric that holds its shape wash after wash."
 longDescription: "Regular fit crew neck with reinforced collar stitching and a straight hem. Works on its own or as a layering piece."
 
 Product: "Stainless Steel Water Bottle 750ml" (type: Accessories, tags: drinkware, stainless-steel)
 description: "Double-walled stainless steel with vacuum insulation. Keeps drinks cold for 24 hours or hot for 12."
-longDescription: "750ml capacity with a leak-proof screw cap and wide mouth opening for easy cleaning. Fits standard cup holders."`;
-
-function outputSchema(length) {
-  return {
-    type: "object",
-    properties: {
-      products: {
-        type: "array",
-        items: {
-          type: "object",
-          properties: {
-            description: { type: "string" },
-            longDescription: { type: "string" },
-          },
-          required: ["description", "longDescription"],
-          additionalProperties: false,
-        },
-        minItems: length,
-        maxItems: length,
-      },
-    },
-    required: ["products"],
-    additionalProperties: false,
-  };
-}
-
-async function generateBatch(batch) {
-  log(`Starting batch of ${batch.length} products`);
-  const attrs = batch.map(extractAttributes);
-
-  /**
-   * Build a prompt line per product from whatever attributes are available.
-   * Skips null/empty values so the AI only sees what exists.
-   */
-  const prompt = attrs
-    .map((a, i) => {
-      const lines = [`Product ${i + 1}: ${a.title}`];
-      if (a.productType) lines.push(`Type: ${a.productType}`);
-      if (a.vendor) lines.push(`Vendor: ${a.vendor}`);
-      if (a.tags.length) lines.push(`Tags: ${a.tags.join(", ")}`);
-
-      /** Include metafields as key-value pairs */
-      for (const [key, value] of Object.entries(a.metafields)) {
-        if (key === "longDescription") continue;
-        if (value) lines.push(`${key}: ${value}`);
-      }
+longDescription: "750ml capacity with a leak-proof screw cap and wide mouth opening for easy cleaning. Fits standard cup holders."`,
+  productTypes: {},
+  /** Checked after generation, "fields" overrides rules per output field */
+  rules: {
+    bannedWords: ["perfect", "amazing", "must-have", "incredible", "stunning", "ultimate"],
+    pronouns: ["you", "your", "yours", "we", "our", "ours", "us"],
+    maxSentences: 2,
+    maxChars: 400,
+    checkNumbers: true,
+    fields: {},
+  },
+};
 
-      return lines.join("\n");
-    })
-    .join("\n\n");
-
-  let result = null;
-  for await (const message of query({
-    prompt: `Generate descriptions for these ${batch.length} products in order:\n\n${prompt}`,
-    options: {
-      model: "haiku",
-      maxTurns: 5,
-      allowedTools: [],
-      outputFormat: { type: "json_schema", schema: outputSchema(batch.length) },
-      systemPrompt: SYSTEM_PROMPT,
-      permissionMode: "bypassPermissions",
-      allowDangerouslySkipPermissions: true,
-      env: { ...process.env, CLAUDECODE: "" },
-    },
-  })) {
-    if (message.type === "result") {
-      result = message;
-      if (message.subtype !== "success") {
-        throw new Error(`AI error: ${message.subtype}: ${message.errors?.join(", ")}`);
-      }
-    }
-  }
-
-  return {
-    descriptions: result.structured_output.products,
-    cost: result.total_cost_usd,
-    tokens: result.usage,
-  };
-}
-
-async function run() {
-  const reader = Bun.stdin.stream().getReader();
-  const decoder = new TextDecoder();
-  let buffer = "";
-  let completed = 0;
-  let skipped = 0;
-  let totalCost = 0;
-  let totalInput = 0;
-  let totalOutput = 0;
-
-  /** Collect products, fire batches as they fill, stream results to stdout */
-  const pending = [];
-  let total = 0;
-
-  async function processBatch(products) {
-    const { descriptions, cost, tokens } = await generateBatch(products);
-    totalCost += cost || 0;
-    totalInput += tokens?.input_tokens || 0;
-    totalOutput += tokens?.output_tokens || 0;
-
-    for (let i = 0; i < products.length; i++) {
-      const product = products[i];
-      const desc = descriptions[i];
-      console.log(JSON.stringify({
-        id: product.id,
-        handle: product.handle,
-        title: product.title,
-        description: desc.description,
-        longDescription: desc.longDescription,
-      }));
-    }
-
-    completed += products.length;
-    log(`${completed}/${total} descriptions generated`);
-  }
-
-  log("Reading products from stdin...");
-
-  /** Read stdin and dispatch batches as they fill */
-  let batch = [];
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    buffer += decoder.decode(value, { stream: true });
-
-    let newline;
-    while ((newline = buffer.indexOf("\n")) !== -1) {
-      const line = buffer.slice(0, newline).trim();
-      buffer = buffer.slice(newline + 1);
-      if (!line) continue;
-
-      const product = JSON.parse(line);
-      if (!needsGeneration(product)) {
-        skipped++;
-        continue;
-      }
-
-      batch.push(product);
-      total++;
-
-      if (batch.length >= BATCH_SIZE) {
-        log(`${total} products read, ${skipped} skipped, dispatching batch`);
-        pending.push(processBatch(batch));
-        batch = [];
-      }
-    }
-  }
-
-  /** Flush remaining products */
-  if (batch.length > 0) {
-    pending.push(processBatch(batch));
-  }
-
-  log(`${total} products to generate, ${skipped} skipped`);
-
-  await Promise.all(pending);
-
-  log(`Cost $${totalCost.toFixed(4)}, ${totalInput} input tokens, ${totalOutput} output tokens`);
-  success(`${completed} descriptions generated`);
-}
-
-run().catch((err) => {
+/**
+ * Output fields stored on the product, with their translation key. Any other
+ * output field is a metafield.
+ **/
+const PRODUCT_FIELDS = {
+  description: { value: (p) => p.description, translationKey: "body_html", html: true },
+};
+
+run({
+  prompt: DEFAULT_PROMPT,
+  config: DEFAULT_CONFIG,
+  noun: "descriptions",
+  items: "products",
+  item: "Product",
+  productFields: PRODUCT_FIELDS,
+}).catch((err) => {
   error(err.message);
   process.exit(1);
 });
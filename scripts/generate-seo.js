@@ -0,0 +1,102 @@
+#!/usr/bin/env bun
+
+/**
+ * Generate SEO titles and meta descriptions using AI. Reads products from
+ * stdin (JSONL), outputs one line per product to stdout (JSONL):
+ *   - seoTitle: search result title (at most 60 characters)
+ *   - seoDescription: search result description (at most 155 characters)
+ *
+ * Generates like generate-descriptions.js, with the same flags, cache, rules
+ * and translations. The product description is passed along in the prompt.
+ * Skips products that already have both, unless --overwrite. The output is
+ * ready for import-descriptions.js.
+ *
+ * With --locales, "resources" holds the translationsRegister variables for
+ * meta_title and meta_description.
+ *
+ * Usage:
+ *   cat products.jsonl | bun scripts/generate-seo.js > tmp/20260215-seo.jsonl
+ *   cat products.jsonl | bun scripts/generate-seo.js --overwrite --config=tmp/brand.json > tmp/20260215-seo.jsonl
+ *   cat products.jsonl | bun scripts/generate-seo.js --locales=nl,de,fr > tmp/20260215-seo-translations.jsonl
+ *   cat products.jsonl | bun scripts/generate-seo.js --estimate
+ *
+ * Flags: see generate-descriptions.js. --batch-size= defaults to 20.
+ *
+ * Config: the generate-descriptions.js config. Its "seo" key holds the fields,
+ * examples and productTypes for this script and overrides the rest:
+ *   { "tone": "...", "seo": { "fields": {...}, "examples": "...", "rules": {...} } }
+ **/
+
+import { run } from "./lib/generate.js";
+
+const write = (s) => Bun.stderr.write(s + "\n");
+const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
+
+/** System prompt template, with the placeholders of generate-descriptions.js */
+const DEFAULT_PROMPT = `You write SEO titles and meta descriptions for {{storeName}}.
+
+You produce these fields per product:
+
+{{fields}}
+
+Style rules:
+- {{tone}}
+- Write in {{language}}
+- Lead with what the product is, in the words a shopper would search for
+- No superlatives or marketing fluff ("perfect", "amazing", "must-have")
+- No first/second person ("you", "we", "our")
+- Stay within the character limits. Do not invent details that aren't provided.
+
+Examples:
+
+{{examples}}`;
+
+const DEFAULT_CONFIG = {
+  storeName: "an online store",
+  tone: "Confident, direct tone",
+  language: "English",
+  model: "haiku",
+  batchSize: 20,
+  fields: {
+    seoTitle: "the page title shown in search results. At most 60 characters. Product name first, then the attribute shoppers search for most.",
+    seoDescription: "the meta description shown in search results. At most 155 characters, 1-2 sentences. Summarize what the product is and what makes it notable.",
+  },
+  examples: `Product: "Organic Cotton Crew Neck T-Shirt" (type: T-Shirts, tags: organic, cotton, basics)
+seoTitle: "Organic Cotton Crew Neck T-Shirt, Regular Fit"
+seoDescription: "Crew neck T-shirt in 100% organic cotton. Soft, breathable and made to keep its shape wash after wash."
+
+Product: "Stainless Steel Water Bottle 750ml" (type: Accessories, tags: drinkware, stainless-steel)
+seoTitle: "Insulated Stainless Steel Water Bottle 750ml"
+seoDescription: "Double-walled 750ml stainless steel bottle with a leak-proof cap. Keeps drinks cold for 24 hours or hot for 12."`,
+  /** Checked after generation, "fields" overrides rules per output field */
+  rules: {
+    bannedWords: ["perfect", "amazing", "must-have", "incredible", "stunning", "ultimate"],
+    pronouns: ["you", "your", "yours", "we", "our", "ours", "us"],
+    maxSentences: 2,
+    checkNumbers: true,
+    fields: { seoTitle: { maxChars: 60, maxSentences: 1 }, seoDescription: { maxChars: 155 } },
+  },
+};
+
+/** The current description is passed along as plain text, this long at most */
+const DESCRIPTION_CHARS = 600;
+
+/** Output fields and where Shopify keeps them: the product's seo, translated as meta_* */
+const PRODUCT_FIELDS = {
+  seoTitle: { value: (p) => p.seo?.title, translationKey: "meta_title" },
+  seoDescription: { value: (p) => p.seo?.description, translationKey: "meta_description" },
+};
+
+run({
+  prompt: DEFAULT_PROMPT,
+  config: DEFAULT_CONFIG,
+  configKey: "seo",
+  noun: "SEO titles and meta descriptions",
+  items: "products",
+  item: "Product",
+  productFields: PRODUCT_FIELDS,
+  promptLines: (p) => (p.description ? [`Description: ${p.description.slice(0, DESCRIPTION_CHARS)}`] : []),
+}).catch((err) => {
+  error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,395 @@
+#!/usr/bin/env bun
+
+/**
+ * Import generated product descriptions into Shopify. Reads the output of
+ * generate-descriptions.js, generate-seo.js or generate-alt-text.js from
+ * stdin (JSONL) and updates per product:
+ *   - descriptionHtml: the short description, wrapped in a paragraph. Rows from
+ *     convert-products.js --to=jsonl have descriptionHtml, which is used as-is
+ *   - <namespace>.longDescription metafield: the long description
+ *   - seo: seoTitle and seoDescription
+ *   - image alt text: altText, on the image with the row's "mediaId"
+ * Rows with none of these fields are skipped, and so are rows with "issues":
+ * generated text that still breaks a style rule, such as a character limit,
+ * after the fix attempts. Pass --force to import those anyway. Rows approved
+ * or edited in review-descriptions.js are imported with their issues.
+ *
+ * Dry-run by default: prints a diff per product to stderr. Pass --apply to write.
+ * Batches 10 products per mutation request to stay within query cost limits.
+ * Rows without an id, such as from a CSV via convert-products.js, are
+ * matched by handle. Rows with a "locale" (generated with --locales)
+ * are skipped, they'd overwrite the primary language. Register their
+ * "resources" with translationsRegister instead.
+ * Outputs a report with one JSON object per product to stdout (JSONL).
+ *
+ * Usage:
+ *   cat tmp/20260215-descriptions.jsonl | bun --env-file=.claude/skills/shopify/.env scripts/import-descriptions.js > tmp/20260215-import.jsonl
+ *   cat tmp/20260215-descriptions.jsonl | bun --env-file=.claude/skills/shopify/.env scripts/import-descriptions.js --apply > tmp/20260215-import.jsonl
+ *
+ * Flags:
+ *   --apply          write changes (default: dry-run)
+ *   --namespace=     metafield namespace of longDescription (default: custom)
+ *   --force          import rows that still have issues
+ **/
+
+const write = (s) => Bun.stderr.write(s + "\n");
+const log = (...args) => write(args.join(" "));
+const success = (...args) => write(`\x1b[32m✔︎\x1b[0m ${args.join(" ")}`);
+const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
+const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
+const data = (o) => write(`\x1b[2m${JSON.stringify(o)}\x1b[0m`);
+
+const flag = (name) => {
+  const f = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return f ? f.split("=").slice(1).join("=") : undefined;
+};
+
+const apply = process.argv.includes("--apply");
+const force = process.argv.includes("--force");
+const namespace = flag("namespace") || "custom";
+const BATCH_SIZE = 10;
+
+const apiToken = process.env.SHOPIFY_ADMIN_API_TOKEN;
+const apiVersion = process.env.SHOPIFY_API_VERSION;
+const storeDomain = process.env.SHOPIFY_STORE_DOMAIN;
+
+if (!apiToken || !apiVersion || !storeDomain) {
+  error("Missing SHOPIFY_ADMIN_API_TOKEN, SHOPIFY_API_VERSION, or SHOPIFY_STORE_DOMAIN");
+  process.exit(1);
+}
+
+const endpoint = `https://${storeDomain}/admin/api/${apiVersion}/graphql.json`;
+
+async function shopify(query, variables = {}) {
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Access-Token": apiToken,
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Shopify API ${response.status}: ${text}`);
+  }
+
+  const json = await response.json();
+  if (json.errors) throw new Error(`GraphQL: ${JSON.stringify(json.errors)}`);
+
+  const cost = json.extensions?.cost;
+  if (cost?.throttleStatus?.currentlyAvailable < 100) {
+    const wait = Math.ceil(cost.requestedQueryCost / cost.throttleStatus.restoreRate) * 1000;
+    log(`Throttled, waiting ${wait}ms`);
+    await new Promise((r) => setTimeout(r, wait));
+  }
+
+  return json.data;
+}
+
+/** Fetch the current values of a batch of products, for the diff. */
+const CURRENT_QUERY = `
+  query Current($ids: [ID!]!, $namespace: String!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        descriptionHtml
+        seo { title description }
+        longDescription: metafield(namespace: $namespace, key: "longDescription") { value }
+      }
+      ... on MediaImage { id alt }
+    }
+  }
+`;
+
+/** Look up product ids by handle, one aliased productByIdentifier per handle. */
+function buildHandleQuery(count) {
+  const args = [];
+  const fields = [];
+
+  for (let i = 0; i < count; i++) {
+    args.push(`$h${i}: String!`);
+    fields.push(`h${i}: productByIdentifier(identifier: { handle: $h${i} }) { id }`);
+  }
+
+  return `query Handles(${args.join(", ")}) {\n  ${fields.join("\n  ")}\n}`;
+}
+
+/** Fields of a generated row that can be imported */
+const FIELDS = ["description", "descriptionHtml", "longDescription", "seoTitle", "seoDescription", "altText"];
+
+/**
+ * One productUpdate per product that changes (aliased p0, p1, ... by update
+ * index), a single metafieldsSet and a single fileUpdate for the alt texts of
+ * the whole batch, sent as one request.
+ **/
+function buildMutation(productIndexes, withMetafields, withFiles) {
+  const args = [];
+  const fields = [];
+
+  for (const i of productIndexes) {
+    args.push(`$p${i}: ProductUpdateInput!`);
+    fields.push(`p${i}: productUpdate(product: $p${i}) { product { id } userErrors { field message } }`);
+  }
+
+  if (withMetafields) {
+    args.push("$metafields: [MetafieldsSetInput!]!");
+    fields.push("metafieldsSet(metafields: $metafields) { metafields { ownerId } userErrors { field message code } }");
+  }
+
+  if (withFiles) {
+    args.push("$files: [FileUpdateInput!]!");
+    fields.push("fileUpdate(files: $files) { files { id } userErrors { field message code } }");
+  }
+
+  return `mutation Import(${args.join(", ")}) {\n  ${fields.join("\n  ")}\n}`;
+}
+
+const escapeHtml = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/** Plain text description to descriptionHtml, one paragraph per line. */
+function toHtml(text) {
+  return text
+    .split(/\n+/)
+    .filter((p) => p.trim())
+    .map((p) => `<p>${escapeHtml(p.trim())}</p>`)
+    .join("");
+}
+
+function printDiff(row, changes) {
+  log(`${row.title || row.handle || row.id}`);
+  for (const { field, from, to } of changes) {
+    write(`  ${field}`);
+    write(`\x1b[31m  - ${from ?? "(empty)"}\x1b[0m`);
+    write(`\x1b[32m  + ${to}\x1b[0m`);
+  }
+}
+
+const report = (row, status, extra = {}) =>
+  console.log(
+    JSON.stringify({ id: row.id, handle: row.handle, ...(row.mediaId ? { mediaId: row.mediaId } : {}), status, ...extra }),
+  );
+
+async function processBatch(rows, totals) {
+  const byHandle = rows.filter((r) => !r.id);
+  if (byHandle.length) {
+    const variables = Object.fromEntries(byHandle.map((r, i) => [`h${i}`, r.handle]));
+    const found = await shopify(buildHandleQuery(byHandle.length), variables);
+    byHandle.forEach((r, i) => (r.id = found[`h${i}`]?.id));
+  }
+
+  const ids = [...new Set(rows.flatMap((r) => [r.id, r.altText ? r.mediaId : null]).filter(Boolean))];
+  const data = ids.length ? await shopify(CURRENT_QUERY, { ids, namespace }) : { nodes: [] };
+  const current = new Map(data.nodes.filter(Boolean).map((n) => [n.id, n]));
+
+  /** Work out what changes per product, skip the ones already up to date */
+  const updates = [];
+  for (const row of rows) {
+    const node = current.get(row.id);
+    if (!node) {
+      error(`${row.id || row.handle} not found`);
+      report(row, "failed", { userErrors: [{ field: ["id"], message: "Product not found" }] });
+      totals.failed++;
+      continue;
+    }
+
+    const changes = [];
+    /** descriptionHtml from a spreadsheet keeps its formatting, description is plain text */
+    if (row.descriptionHtml || row.description) {
+      const html = row.descriptionHtml || toHtml(row.description);
+      if (html !== node.descriptionHtml) {
+        changes.push({ field: "descriptionHtml", from: node.descriptionHtml || null, to: html });
+      }
+    }
+    if (row.longDescription && row.longDescription !== node.longDescription?.value) {
+      changes.push({ field: "longDescription", from: node.longDescription?.value ?? null, to: row.longDescription });
+    }
+    if (row.seoTitle && row.seoTitle !== node.seo?.title) {
+      changes.push({ field: "seoTitle", from: node.seo?.title || null, to: row.seoTitle });
+    }
+    if (row.seoDescription && row.seoDescription !== node.seo?.description) {
+      changes.push({ field: "seoDescription", from: node.seo?.description || null, to: row.seoDescription });
+    }
+    if (row.altText) {
+      const media = current.get(row.mediaId);
+      if (!media) {
+        error(`${row.handle || row.id}: image ${row.mediaId ?? "(no mediaId)"} not found`);
+        report(row, "failed", { userErrors: [{ field: ["mediaId"], message: "Image not found" }] });
+        totals.failed++;
+        continue;
+      }
+      if (row.altText !== media.alt) changes.push({ field: "altText", from: media.alt || null, to: row.altText });
+    }
+
+    if (changes.length === 0) {
+      report(row, "unchanged");
+      totals.unchanged++;
+      continue;
+    }
+
+    printDiff(row, changes);
+    updates.push({ row, changes, node });
+  }
+
+  if (updates.length === 0) return;
+
+  if (!apply) {
+    for (const { row, changes } of updates) {
+      report(row, "dry-run", { changes: changes.map((c) => c.field) });
+    }
+    totals.pending += updates.length;
+    return;
+  }
+
+  const variables = {};
+  const productIndexes = [];
+  const metafields = [];
+  const metafieldOwners = [];
+  const files = [];
+  const fileOwners = [];
+
+  updates.forEach(({ row, changes, node }, i) => {
+    const change = (field) => changes.find((c) => c.field === field);
+    const html = change("descriptionHtml");
+    const seoTitle = change("seoTitle");
+    const seoDescription = change("seoDescription");
+
+    if (html || seoTitle || seoDescription) {
+      const product = { id: row.id };
+      if (html) product.descriptionHtml = html.to;
+      if (seoTitle || seoDescription) {
+        product.seo = { title: seoTitle?.to ?? node.seo?.title, description: seoDescription?.to ?? node.seo?.description };
+      }
+      variables[`p${i}`] = product;
+      productIndexes.push(i);
+    }
+
+    const long = change("longDescription");
+    if (long) {
+      metafields.push({
+        ownerId: row.id,
+        namespace,
+        key: "longDescription",
+        type: "multi_line_text_field",
+        value: long.to,
+      });
+      metafieldOwners.push(i);
+    }
+
+    const alt = change("altText");
+    if (alt) {
+      files.push({ id: row.mediaId, alt: alt.to });
+      fileOwners.push(i);
+    }
+  });
+  if (metafields.length) variables.metafields = metafields;
+  if (files.length) variables.files = files;
+
+  const result = await shopify(buildMutation(productIndexes, metafields.length > 0, files.length > 0), variables);
+
+  /**
+   * metafieldsSet is atomic, so its userErrors apply to the whole batch.
+   * Errors that point at an index (["metafields", "3", "value"]) are
+   * attributed to that update, others to every update in the set. The same
+   * goes for fileUpdate and ["files", "3", "alt"].
+   **/
+  const batchErrors = new Map(updates.map((_, i) => [i, []]));
+  const attribute = (userErrors, owners) => {
+    for (const e of userErrors || []) {
+      const index = Number(e.field?.[1]);
+      for (const i of Number.isInteger(index) ? [owners[index]] : owners) batchErrors.get(i)?.push(e);
+    }
+  };
+  attribute(result.metafieldsSet?.userErrors, metafieldOwners);
+  attribute(result.fileUpdate?.userErrors, fileOwners);
+
+  updates.forEach(({ row, changes }, i) => {
+    const userErrors = [...(result[`p${i}`]?.userErrors || []), ...batchErrors.get(i)];
+    const fields = changes.map((c) => c.field);
+
+    if (userErrors.length) {
+      error(`${row.handle || row.id}: ${userErrors.map((e) => e.message).join(", ")}`);
+      report(row, "failed", { changes: fields, userErrors });
+      totals.failed++;
+    } else {
+      report(row, "updated", { changes: fields });
+      totals.updated++;
+    }
+  });
+}
+
+async function run() {
+  const reader = Bun.stdin.stream().getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let read = 0;
+  const totals = { updated: 0, pending: 0, unchanged: 0, skipped: 0, failed: 0 };
+
+  log(apply ? "Importing descriptions" : "Dry-run, pass --apply to write");
+  log("Reading descriptions from stdin...");
+
+  let batch = [];
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += done ? "\n" : decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      const row = JSON.parse(line);
+      if (!row.id && !row.handle) {
+        warning(`Skipping row without id or handle: ${line.slice(0, 80)}`);
+        continue;
+      }
+      if (!FIELDS.some((f) => row[f])) {
+        warning(`Skipping ${row.handle || row.id}, none of ${FIELDS.join(", ")} to import`);
+        report(row, "skipped");
+        totals.skipped++;
+        continue;
+      }
+      if (row.locale) {
+        warning(`Skipping ${row.handle || row.id} (${row.locale}), translations are registered with translationsRegister`);
+        report(row, "skipped", { locale: row.locale });
+        totals.skipped++;
+        continue;
+      }
+      /** Rows exported from review-descriptions.js carry the reviewer's decision, they're imported as reviewed */
+      if (row.issues?.length && !row.decision && !force) {
+        warning(`Skipping ${row.handle || row.id}: ${row.issues.map((x) => `${x.field} ${x.message}`).join("; ")}`);
+        report(row, "skipped", { issues: row.issues });
+        totals.skipped++;
+        continue;
+      }
+
+      batch.push(row);
+      read++;
+
+      if (batch.length >= BATCH_SIZE) {
+        await processBatch(batch, totals);
+        batch = [];
+        log(`${read} products processed`);
+      }
+    }
+
+    if (done) break;
+  }
+
+  /** Flush remaining products */
+  if (batch.length > 0) {
+    await processBatch(batch, totals);
+  }
+
+  log(`${totals.unchanged} unchanged, ${totals.skipped} skipped, ${totals.failed} failed`);
+  if (apply) success(`${totals.updated} products updated`);
+  else success(`${totals.pending} products would be updated, pass --apply to write`);
+}
+
+run().catch((err) => {
+  error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,1030 @@
+/**
+ * Generation shared by generate-descriptions.js, generate-seo.js and
+ * generate-alt-text.js. Each script passes run() a spec of what it generates,
+ * the rest works the same for all three: batching, retries, the cache,
+ * --resume, --estimate, --max-cost, style rules, --locales, Sanity and
+ * --record/--replay. The flags are documented in generate-descriptions.js.
+ *
+ * spec:
+ *   prompt        the script's DEFAULT_PROMPT, replaced by --prompt-file=
+ *   config        the script's DEFAULT_CONFIG
+ *   configKey     key of the script's own overrides in the --config= file ("seo").
+ *                 Without one, the top-level fields, examples and productTypes are its own
+ *   noun, items,  what is generated and for what, in prompts and logs:
+ *   item          "descriptions", "products" and "Product". items is also the output schema key
+ *   productFields output fields stored on the product:
+ *                 { value: (product) => current value, translationKey, html }.
+ *                 Any other output field is a metafield
+ *   promptLines   (product) => prompt lines to add after the tags
+ *   units         (product) => what gets generated for a product (default: [product])
+ *   unitKey       (unit) => identifies a unit in feedback and --resume (default: id or handle)
+ *   rowKey        (row) => the unitKey of an output line, for --resume (default: id or handle)
+ *   row           (unit) => fields to add to its output line
+ *   image         (unit) => URL of an image to send as vision input
+ *   translatable  false when --locales isn't supported (default: true)
+ **/
+
+import { query } from "@anthropic-ai/claude-agent-sdk";
+import { createClient } from "@sanity/client";
+import { appendFile, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+
+const write = (s) => Bun.stderr.write(s + "\n");
+const log = (...args) => write(args.join(" "));
+const success = (...args) => write(`\x1b[32m✔︎\x1b[0m ${args.join(" ")}`);
+const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
+const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
+const data = (o) => write(`\x1b[2m${JSON.stringify(o)}\x1b[0m`);
+
+const flag = (name) => {
+  const f = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return f ? f.split("=").slice(1).join("=") : undefined;
+};
+
+const overwrite = process.argv.includes("--overwrite");
+const concurrency = Number(flag("concurrency") || 4);
+const maxRetries = Number(flag("retries") ?? 2);
+const rejectsPath = flag("rejects");
+const locales = (flag("locales") || "").split(",").filter(Boolean);
+const cachePath = process.argv.includes("--no-cache") ? null : flag("cache") || "tmp/generate-cache.jsonl";
+const resumePath = flag("resume");
+const fixAttempts = Number(flag("fix-attempts") ?? 2);
+const estimate = process.argv.includes("--estimate");
+const maxCost = flag("max-cost") ? Number(flag("max-cost")) : null;
+const leftoverPath = flag("leftover");
+const sanityQuery = flag("sanity-query");
+const sanityJoin = flag("sanity-join");
+const sanityKey = flag("sanity-key") || "_id";
+
+if (maxCost !== null && (Number.isNaN(maxCost) || maxCost < 0)) {
+  error(`--max-cost=${flag("max-cost")} is not a valid amount`);
+  process.exit(1);
+}
+
+/** Counts that aren't whole numbers would stall the queue or skip retries */
+for (const [name, value, min] of [["concurrency", concurrency, 1], ["retries", maxRetries, 0], ["fix-attempts", fixAttempts, 0]]) {
+  if (!Number.isInteger(value) || value < min) {
+    error(`--${name}=${flag(name)} is not a whole number of ${min} or more`);
+    process.exit(1);
+  }
+}
+
+const recordDir = flag("record");
+const replayDir = flag("replay");
+
+if (recordDir && replayDir) {
+  error("--record and --replay can't be combined");
+  process.exit(1);
+}
+
+if (sanityQuery && !sanityJoin) {
+  error("--sanity-query needs --sanity-join=namespace.key");
+  process.exit(1);
+}
+
+/** USD per million tokens, matched against the model name, for --estimate */
+const PRICES = {
+  haiku: { input: 1, output: 5 },
+  sonnet: { input: 3, output: 15 },
+  opus: { input: 5, output: 25 },
+};
+
+/** Input tokens per image, a 1024px wide image is at most about 1600 */
+const IMAGE_TOKENS = 1600;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Limit the number of batches in flight, queueing the rest */
+let active = 0;
+const waiting = [];
+
+async function acquire() {
+  if (active < concurrency) {
+    active++;
+    return;
+  }
+  await new Promise((r) => waiting.push(r));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+}
+
+/** Times each call was seen, so identical calls (retries) replay in order */
+const recordings = new Map();
+
+function recordingPath(name, key) {
+  const hash = Bun.hash(key).toString(16).padStart(16, "0");
+  const n = (recordings.get(hash) || 0) + 1;
+  recordings.set(hash, n);
+  return `${recordDir || replayDir}/${name}-${hash}-${n}.json`;
+}
+
+/**
+ * Call fn() with --record= and --replay=. Recordings are keyed by the request
+ * and hold what fn() resolved to, or the error it threw, which is thrown
+ * again on replay.
+ **/
+async function recorded(name, request, fn) {
+  if (!recordDir && !replayDir) return fn();
+
+  const path = recordingPath(name, JSON.stringify(request));
+
+  if (replayDir) {
+    const file = Bun.file(path);
+    if (!(await file.exists())) throw new Error(`No recording for ${name} at ${path}`);
+    const recording = await file.json();
+    if (recording.error) throw new Error(recording.error);
+    return recording.result;
+  }
+
+  try {
+    const result = await fn();
+    await Bun.write(path, JSON.stringify({ request, result }));
+    return result;
+  } catch (err) {
+    await Bun.write(path, JSON.stringify({ request, error: err.message }));
+    throw err;
+  }
+}
+
+/** A missing or broken --prompt-file or --config stops the run before anything is generated */
+async function readFlagFile(path, read) {
+  try {
+    return await read(Bun.file(path));
+  } catch (err) {
+    error(`Can't read ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/** Top-level config keys of generate-descriptions.js, the other scripts have them under their configKey */
+const OWN_KEYS = ["fields", "examples", "productTypes"];
+
+/** The spec passed to run(), and the prompt and config built from it by configure() */
+let spec;
+let template;
+let config;
+let model;
+let batchSize;
+let fields;
+
+async function configure(s) {
+  spec = {
+    units: (product) => [product],
+    /** Products converted from a CSV have no id, only a handle */
+    unitKey: (product) => product.id ?? product.handle,
+    rowKey: (row) => row.id ?? row.handle,
+    row: () => ({}),
+    translatable: true,
+    ...s,
+  };
+
+  if (locales.length && !spec.translatable) {
+    error(`--locales is not supported for ${spec.noun}`);
+    process.exit(1);
+  }
+
+  const promptPath = flag("prompt-file");
+  const configPath = flag("config");
+  template = promptPath ? await readFlagFile(promptPath, (f) => f.text()) : spec.prompt;
+  const fileConfig = configPath ? await readFlagFile(configPath, (f) => f.json()) : {};
+
+  if (!fileConfig || typeof fileConfig !== "object" || Array.isArray(fileConfig)) {
+    error(`${configPath} is not a JSON object`);
+    process.exit(1);
+  }
+
+  /** Later layers win, rules and per-field rules are merged key by key */
+  const layers = spec.configKey
+    ? [spec.config, Object.fromEntries(Object.entries(fileConfig).filter(([k]) => !OWN_KEYS.includes(k))), fileConfig[spec.configKey] || {}]
+    : [spec.config, fileConfig];
+  const fieldRules = layers.map((l) => l.rules?.fields || {});
+  config = Object.assign({}, ...layers, {
+    rules: Object.assign({}, ...layers.map((l) => l.rules), {
+      fields: Object.fromEntries(
+        [...new Set(fieldRules.flatMap(Object.keys))].map((f) => [f, Object.assign({}, ...fieldRules.map((r) => r[f]))]),
+      ),
+    }),
+  });
+  model = flag("model") || config.model;
+  batchSize = Number(flag("batch-size") || config.batchSize);
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    error(`${flag("batch-size") ? `--batch-size=${flag("batch-size")}` : `batchSize ${JSON.stringify(config.batchSize)} in ${configPath}`} is not a positive whole number`);
+    process.exit(1);
+  }
+  fields = Object.keys(config.fields);
+}
+/** Products with a productType override get their own batches and prompt. */
+const promptGroup = (product) => (config.productTypes?.[product.productType] ? product.productType : "");
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+/** ctx is { group, locale }: the productType override and target locale of a batch. */
+function systemPrompt({ group, locale }) {
+  const values = {
+    ...config,
+    ...(group ? config.productTypes[group] : {}),
+    ...(locale ? { language: languageNames.of(locale) } : {}),
+    fields: Object.entries(config.fields)
+      .map(([key, instructions], i) => `${i + 1}. "${key}" — ${instructions}`)
+      .join("\n\n"),
+  };
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+/** Current value of an output field: a product field, or a metafield by key. */
+function fieldValue(product, key, mf) {
+  return spec.productFields[key] ? spec.productFields[key].value(product) : mf[key];
+}
+
+/**
+ * Existing translation of an output field, from an export with --translations=.
+ * Product fields are translated under their translation key, metafields as value.
+ * HTML fields are compared as plain text.
+ **/
+function translatedValue(product, key, locale) {
+  const field = spec.productFields[key];
+  if (!field) return product.metafields?.find((m) => m.key === key)?.translations?.[locale]?.value;
+  const value = product.translations?.[locale]?.[field.translationKey];
+  return field.html ? value?.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim() : value;
+}
+
+function needsTranslation(product, locale) {
+  if (overwrite) return true;
+  return fields.some((f) => !translatedValue(product, f, locale)?.trim());
+}
+
+const escapeHtml = (s) =>
+  s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * translationsRegister variables for the generated fields of one product, grouped
+ * per resource. Fields that are already translated are kept unless --overwrite.
+ * Fields without a resource id or digest can't be registered and are skipped.
+ **/
+function translationResources(product, locale, desc) {
+  const resources = new Map();
+
+  for (const key of fields) {
+    if (!overwrite && translatedValue(product, key, locale)?.trim()) continue;
+
+    const resource = spec.productFields[key] ? product : product.metafields?.find((m) => m.key === key);
+    const translationKey = spec.productFields[key]?.translationKey ?? "value";
+    const digest = resource?.digests?.[translationKey];
+    if (!resource?.id || !digest) continue;
+
+    const value = spec.productFields[key]?.html ? `<p>${escapeHtml(desc[key])}</p>` : desc[key];
+    const entry = resources.get(resource.id) || { resourceId: resource.id, translations: [] };
+    entry.translations.push({ locale, key: translationKey, value, translatableContentDigest: digest });
+    resources.set(resource.id, entry);
+  }
+
+  return [...resources.values()];
+}
+
+/** "care_instructions" or "careInstructions" to "Care instructions". */
+function humanize(key) {
+  const s = key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " ").trim().toLowerCase();
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/** Shopify measurement units as written in text, so checkNumbers can match them */
+const UNIT_LABELS = {
+  MILLIMETERS: "mm",
+  CENTIMETERS: "cm",
+  METERS: "m",
+  INCHES: "in",
+  FEET: "ft",
+  MILLIGRAMS: "mg",
+  GRAMS: "g",
+  KILOGRAMS: "kg",
+  OUNCES: "oz",
+  POUNDS: "lb",
+  MILLILITERS: "ml",
+  CENTILITERS: "cl",
+  LITERS: "l",
+};
+
+const JSON_METAFIELD_TYPES = ["json", "dimension", "volume", "weight", "rating", "money", "link", "rich_text_field"];
+
+/**
+ * Metafield value as-is, or parsed for JSON and list types (the export already
+ * does this in "parsed"). Without a type, as from a CSV, JSON is tried.
+ **/
+function metafieldValue(m) {
+  if (m.parsed !== undefined) return m.parsed;
+  if (m.type && !m.type.startsWith("list.") && !JSON_METAFIELD_TYPES.includes(m.type)) return m.value;
+  try {
+    return JSON.parse(m.value);
+  } catch {
+    return m.value;
+  }
+}
+
+const richText = (node) => node.value ?? (node.children || []).map(richText).join(node.type === "paragraph" ? "" : " ");
+
+/** A parsed value as prompt text: lists joined, measurements with their unit. Bare gids are left out. */
+function valueText(type, value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (Array.isArray(value)) {
+    return value.map((v) => valueText(type.replace(/^list\./, ""), v)).filter(Boolean).join(", ") || null;
+  }
+  if (typeof value === "string" && value.startsWith("gid://")) return null;
+  if (typeof value !== "object") return String(value);
+  if (type === "rich_text_field") return richText(value).trim() || null;
+  if (type === "link") return value.text || value.url;
+  if (type === "money") return `${value.amount} ${value.currency_code}`;
+  if (type === "rating") return `${value.value}/${value.scale_max}`;
+  if ("unit" in value) return `${value.value} ${UNIT_LABELS[value.unit] || value.unit.toLowerCase()}`;
+  return JSON.stringify(value);
+}
+
+/** A referenced node as text. Metaobjects are their name plus their other fields. */
+function referenceText(node) {
+  if (node.__typename === "Metaobject") {
+    const details = node.fields
+      .map((f) => [f.key, metafieldText(f)])
+      .filter(([, text]) => text && text !== node.displayName)
+      .map(([key, text]) => `${humanize(key).toLowerCase()}: ${text}`);
+    return details.length ? `${node.displayName} (${details.join("; ")})` : node.displayName;
+  }
+  if (node.__typename === "ProductVariant") return `${node.product.title} ${node.title}`;
+  return node.title || null;
+}
+
+/**
+ * A metafield (or metaobject field) as prompt text, null when there's nothing
+ * useful to say. References without a resolved node are only a gid, and skipped.
+ **/
+function metafieldText(m) {
+  if (m.references) return m.references.map(referenceText).filter(Boolean).join(", ") || null;
+  if (m.type?.endsWith("_reference")) return m.reference ? referenceText(m.reference) : null;
+  return valueText(m.type || "", metafieldValue(m));
+}
+
+/** Sanity documents by their --sanity-key= value, filled by loadSanityDocuments() */
+const sanityDocuments = new Map();
+
+async function loadSanityDocuments() {
+  const documents = await recorded("Sanity", { query: sanityQuery }, () => {
+    const { SANITY_PROJECT_ID: projectId, SANITY_DATASET: dataset, SANITY_API_VERSION: apiVersion } = process.env;
+    if (!projectId || !dataset || !apiVersion) {
+      throw new Error("Missing SANITY_PROJECT_ID, SANITY_DATASET, or SANITY_API_VERSION");
+    }
+
+    const client = createClient({ projectId, dataset, apiVersion, token: process.env.SANITY_TOKEN, useCdn: false });
+    return client.fetch(sanityQuery);
+  });
+  if (!Array.isArray(documents)) throw new Error("--sanity-query must return a list of documents");
+
+  for (const doc of documents) {
+    const key = doc[sanityKey];
+    if (key === undefined || key === null) continue;
+    if (sanityDocuments.has(String(key))) warning(`Sanity documents share ${sanityKey} "${key}", using the first`);
+    else sanityDocuments.set(String(key), doc);
+  }
+  log(`${sanityDocuments.size} Sanity documents loaded`);
+}
+
+/** Keys a product references through the --sanity-join= metafield. */
+function sanityKeys(product) {
+  const m = product.metafields?.find((x) => `${x.namespace}.${x.key}` === sanityJoin);
+  if (!m) return [];
+  return [metafieldValue(m)].flat().filter((v) => v !== null && v !== undefined && v !== "").map(String);
+}
+
+/** A Sanity field as prompt text: strings, lists, Portable Text and slugs. Other objects are left out. */
+function sanityValue(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (Array.isArray(value)) {
+    if (value.some((v) => v?._type === "block")) {
+      return value.filter((v) => v._type === "block").map((b) => b.children.map((c) => c.text).join("")).join(" ") || null;
+    }
+    return value.map(sanityValue).filter(Boolean).join(", ") || null;
+  }
+  if (typeof value === "object") return value.current ?? null;
+  return String(value);
+}
+
+/** A Sanity document as text, the same shape as a metaobject: its name plus its other fields. */
+function sanityText(doc) {
+  const name = doc.title || doc.name;
+  const details = Object.entries(doc)
+    .filter(([key]) => !key.startsWith("_") && ![sanityKey, "title", "name"].includes(key))
+    .map(([key, value]) => [key, sanityValue(value)])
+    .filter(([, text]) => text)
+    .map(([key, text]) => `${humanize(key).toLowerCase()}: ${text}`);
+  return [name, details.length ? `(${details.join("; ")})` : null].filter(Boolean).join(" ") || null;
+}
+
+/** Build a flat object of all available product attributes for the prompt. */
+function extractAttributes(product) {
+  const mf = {};
+  for (const m of product.metafields || []) {
+    mf[m.key] = m.value;
+  }
+
+  /**
+   * Metafields by namespace.key, labelled with their definition name. Labels
+   * that clash get their namespace added, or namespace.key when that's not enough.
+   **/
+  const metafields = {};
+  for (const m of product.metafields || []) {
+    const id = `${m.namespace}.${m.key}`;
+    let label = m.definition?.name || humanize(m.key);
+    let value = metafieldText(m);
+
+    /** The joined Sanity documents replace the key they're joined on */
+    if (sanityQuery && id === sanityJoin) {
+      const docs = sanityKeys(product).map((key) => sanityDocuments.get(key)).filter(Boolean);
+      if (docs[0]?._type) label = humanize(docs[0]._type);
+      value = docs.map(sanityText).filter(Boolean).join(", ") || null;
+    }
+
+    if (value) metafields[id] = { key: m.key, label, value };
+  }
+  const labels = Object.entries(metafields).map(([id, a]) => [id, a.label]);
+  for (const [id, a] of Object.entries(metafields)) {
+    const clashes = labels.filter(([, label]) => label === a.label).map(([other]) => other.split(".")[0]);
+    if (clashes.length < 2) continue;
+    a.label += ` (${new Set(clashes).size === clashes.length ? id.split(".")[0] : id})`;
+  }
+
+  return {
+    id: product.id,
+    title: product.title,
+    productType: product.productType || null,
+    vendor: product.vendor || null,
+    tags: product.tags || [],
+    existing: Object.fromEntries(fields.map((f) => [f, fieldValue(product, f, mf) || null])),
+    /** Include all metafields so any product catalog works */
+    metafields,
+  };
+}
+
+function needsGeneration(product) {
+  if (overwrite) return true;
+  const mf = {};
+  for (const m of product.metafields || []) mf[m.key] = m.value;
+  return fields.some((f) => !fieldValue(product, f, mf)?.trim());
+}
+
+function outputSchema(length) {
+  return {
+    type: "object",
+    properties: {
+      [spec.items]: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: Object.fromEntries(fields.map((f) => [f, { type: "string" }])),
+          required: fields,
+          additionalProperties: false,
+        },
+        minItems: length,
+        maxItems: length,
+      },
+    },
+    required: [spec.items],
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Build the prompt lines for a product from whatever attributes are available,
+ * starting with the title. Skips null/empty values so the AI only sees what exists.
+ */
+function productPrompt(product, ctx) {
+  const a = extractAttributes(product);
+  const lines = [a.title];
+  if (a.productType) lines.push(`Type: ${a.productType}`);
+  if (a.vendor) lines.push(`Vendor: ${a.vendor}`);
+  if (a.tags.length) lines.push(`Tags: ${a.tags.join(", ")}`);
+  if (spec.promptLines) lines.push(...spec.promptLines(product));
+
+  /** Include metafields as label-value pairs */
+  for (const { key, label, value } of Object.values(a.metafields)) {
+    if (fields.includes(key)) continue;
+    lines.push(`${label}: ${value}`);
+  }
+
+  /** When translating, include the source texts and translations that exist */
+  if (ctx.locale) {
+    for (const f of fields) {
+      if (a.existing[f]) lines.push(`Source ${f}: ${a.existing[f]}`);
+      const translated = translatedValue(product, f, ctx.locale);
+      if (translated) lines.push(`Existing ${ctx.locale} ${f}: ${translated}`);
+    }
+  }
+
+  return lines;
+}
+
+/** Cache key: everything that goes into the prompt for this product, and its image. */
+function cacheKey(product, ctx) {
+  const image = spec.image ? [spec.image(product)] : [];
+  return new Bun.CryptoHasher("sha256")
+    .update(JSON.stringify([model, systemPrompt(ctx), ctx.locale, productPrompt(product, ctx), ...image]))
+    .digest("hex");
+}
+
+async function loadCache() {
+  const cache = new Map();
+  if (!cachePath || !(await Bun.file(cachePath).exists())) return cache;
+
+  for (const line of (await Bun.file(cachePath).text()).split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      cache.set(entry.hash, entry.output);
+    } catch {
+      /** An interrupted run can leave a partial last line */
+    }
+  }
+  return cache;
+}
+
+/**
+ * Products already in a partial output file, keyed by id and locale. New
+ * output is appended to the file, so it has to end with a complete line.
+ **/
+async function loadResumed() {
+  const done = new Set();
+  if (!resumePath || !(await Bun.file(resumePath).exists())) return done;
+
+  const text = await Bun.file(resumePath).text();
+  const lines = text.split("\n");
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const row = JSON.parse(line);
+      done.add(`${spec.rowKey(row)}\u0000${row.locale ?? null}`);
+    } catch {
+      throw new Error(`${resumePath}:${i + 1} is incomplete, remove that line before resuming`);
+    }
+  });
+  if (text && !text.endsWith("\n")) {
+    throw new Error(`${resumePath} doesn't end with a newline, add one before resuming`);
+  }
+  return done;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const wordPattern = (word) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}])`, "iu");
+
+/** Pronouns only match in lowercase or capitalized, so "US" (the country) isn't "us" */
+const pronounPattern = (word) => {
+  const [first, ...rest] = word.toLowerCase();
+  const start = `(?:${escapeRegExp(first)}|${escapeRegExp(first.toUpperCase())})`;
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${start}${escapeRegExp(rest.join(""))}(?=$|[^\\p{L}\\p{N}])`, "u");
+};
+
+/** Units checked after a number. "in" is left out, "2 in a pack" is more common than inches */
+const UNITS = ["mm", "cm", "m", "km", "ml", "cl", "l", "g", "kg", "mg", "oz", "lb", "ft", "%"];
+
+const rulesFor = (field) => ({ ...config.rules, ...config.rules.fields?.[field] });
+
+/**
+ * Check generated fields against the style rules. Numbers are compared to
+ * the prompt lines, so anything the model wasn't given is flagged.
+ * Returns a list of { field, rule, message }.
+ **/
+function validate(product, desc, ctx) {
+  const source = productPrompt(product, ctx).join("\n").toLowerCase().replace(/(\d),(\d)/g, "$1.$2");
+  const issues = [];
+
+  for (const field of fields) {
+    const rules = rulesFor(field);
+    const text = desc[field] || "";
+    const issue = (rule, message) => issues.push({ field, rule, message });
+
+    for (const word of rules.bannedWords || []) {
+      if (wordPattern(word).test(text)) issue("bannedWords", `contains "${word}"`);
+    }
+    for (const word of rules.pronouns || []) {
+      if (pronounPattern(word).test(text)) issue("pronouns", `uses "${word}"`);
+    }
+
+    const sentences = text.split(/[.!?]+(?:\s+|$)/).filter((p) => p.trim()).length;
+    if (rules.maxSentences && sentences > rules.maxSentences) {
+      issue("maxSentences", `${sentences} sentences, max ${rules.maxSentences}`);
+    }
+    if (rules.maxChars && text.length > rules.maxChars) {
+      issue("maxChars", `${text.length} characters, max ${rules.maxChars}`);
+    }
+
+    if (rules.checkNumbers) {
+      const normalized = text.toLowerCase().replace(/(\d),(\d)/g, "$1.$2");
+      for (const [match, number, unit] of normalized.matchAll(/(\d+(?:\.\d+)?)\s*(%|[a-z]{1,2}\b)?/g)) {
+        const numberPattern = new RegExp(`(^|[^\\d.])${escapeRegExp(number)}(?![\\d]|\\.\\d)`);
+        if (!numberPattern.test(source)) {
+          issue("checkNumbers", `"${match.trim()}" is not in the product attributes`);
+        } else if (UNITS.includes(unit) && !new RegExp(`${escapeRegExp(number)}\\s*${escapeRegExp(unit)}`).test(source)) {
+          issue("checkNumbers", `"${match.trim()}" has a unit that's not in the product attributes`);
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/** One output line for a product and its generated fields. */
+function buildRow(product, ctx, desc, issues = []) {
+  const row = {
+    id: product.id,
+    handle: product.handle,
+    title: product.title,
+    ...spec.row(product),
+    ...(ctx.locale ? { locale: ctx.locale } : {}),
+    ...Object.fromEntries(fields.map((f) => [f, desc[f]])),
+  };
+  if (ctx.locale) row.resources = translationResources(product, ctx.locale, desc);
+  row.issues = issues;
+  return row;
+}
+
+/** The instruction and one text per product of a batch prompt. */
+function batchPrompt(batch, ctx) {
+  const texts = batch.map((product, i) => {
+    const [title, ...lines] = productPrompt(product, ctx);
+
+    /** On a fix attempt, tell the model what was wrong with the last one */
+    const issues = ctx.feedback?.get(spec.unitKey(product));
+    if (issues) {
+      lines.push(`Previous attempt broke these rules, fix them: ${issues.map((x) => `${x.field} ${x.message}`).join("; ")}`);
+    }
+
+    return [`${spec.item} ${i + 1}: ${title}`, ...lines].join("\n");
+  });
+
+  const instruction = ctx.locale
+    ? `Write ${spec.noun} in ${languageNames.of(ctx.locale)} for these ${batch.length} ${spec.items} in order. Translate the source texts where given, stay consistent with existing translations`
+    : `Generate ${spec.noun} for these ${batch.length} ${spec.items} in order`;
+
+  return { instruction, texts };
+}
+
+/**
+ * Approximate tokens of a batch without calling the model: 4 characters per
+ * token for the system prompt, prompt and schema, the character limit of
+ * every field for the output. Fix attempts and SDK overhead aren't included.
+ **/
+function estimateBatch(batch, ctx) {
+  const { instruction, texts } = batchPrompt(batch, ctx);
+  const chars =
+    systemPrompt(ctx).length + instruction.length + texts.join("\n\n").length + JSON.stringify(outputSchema(batch.length)).length;
+  const images = spec.image ? batch.length * IMAGE_TOKENS : 0;
+  const outputChars = fields.reduce((sum, f) => sum + (rulesFor(f).maxChars || 400) + f.length + 8, 0);
+
+  return {
+    input: Math.ceil(chars / 4) + images,
+    output: Math.ceil((batch.length * outputChars) / 4),
+  };
+}
+
+async function generateBatch(batch, ctx) {
+  log(`Starting batch of ${batch.length} ${spec.items}${ctx.locale ? ` (${ctx.locale})` : ""}`);
+
+  const { instruction, texts } = batchPrompt(batch, ctx);
+
+  /** With an image, each product is followed by it, the model fetches it by URL */
+  let content = null;
+  if (spec.image) {
+    content = [{ type: "text", text: `${instruction}:` }];
+    batch.forEach((product, i) => {
+      content.push({ type: "text", text: texts[i] }, { type: "image", source: { type: "url", url: spec.image(product) } });
+    });
+  }
+
+  /** Recorded with the prompt, env is added when calling so credentials don't end up in recordings */
+  const options = {
+    model,
+    maxTurns: 5,
+    allowedTools: [],
+    outputFormat: { type: "json_schema", schema: outputSchema(batch.length) },
+    systemPrompt: systemPrompt(ctx),
+    permissionMode: "bypassPermissions",
+    allowDangerouslySkipPermissions: true,
+  };
+  const text = `${instruction}:\n\n${texts.join("\n\n")}`;
+
+  const result = await recorded("Batch", { prompt: content ?? text, options }, async () => {
+    const prompt = content
+      ? (async function* () {
+          yield { type: "user", message: { role: "user", content }, parent_tool_use_id: null, session_id: "" };
+        })()
+      : text;
+
+    let result = null;
+    for await (const message of query({ prompt, options: { ...options, env: { ...process.env, CLAUDECODE: "" } } })) {
+      if (message.type === "result") {
+        result = message;
+        if (message.subtype !== "success") {
+          throw new Error(`AI error: ${message.subtype}: ${message.errors?.join(", ")}`);
+        }
+      }
+    }
+    return result;
+  });
+
+  return {
+    descriptions: result.structured_output[spec.items],
+    cost: result.total_cost_usd,
+    tokens: result.usage,
+  };
+}
+
+/**
+ * Generate a batch, retrying with backoff. When it keeps failing, split it in
+ * halves so one bad product doesn't take the rest of the batch down with it.
+ * Resolves to one { product, desc }, { product, error } or { product, leftover } per product.
+ **/
+async function generateResilient(products, ctx, totals) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) await sleep(1000 * 2 ** attempt);
+
+    await acquire();
+
+    /** Batches that get their turn after the budget ran out are left over */
+    if (maxCost !== null && totals.cost >= maxCost) {
+      release();
+      return products.map((product) => ({ product, leftover: true }));
+    }
+
+    try {
+      const { descriptions, cost, tokens } = await generateBatch(products, ctx);
+      totals.cost += cost || 0;
+      totals.input += tokens?.input_tokens || 0;
+      totals.output += tokens?.output_tokens || 0;
+      return products.map((product, i) => ({ product, desc: descriptions[i] }));
+    } catch (err) {
+      lastError = err;
+      warning(`Batch of ${products.length} failed (${attempt + 1}/${maxRetries + 1}): ${err.message}`);
+    } finally {
+      release();
+    }
+  }
+
+  if (products.length === 1) {
+    error(`${products[0].handle || products[0].id}: ${lastError.message}`);
+    return [{ product: products[0], error: lastError.message }];
+  }
+
+  const half = Math.ceil(products.length / 2);
+  log(`Splitting batch of ${products.length} ${spec.items}`);
+  const [first, second] = await Promise.all([
+    generateResilient(products.slice(0, half), ctx, totals),
+    generateResilient(products.slice(half), ctx, totals),
+  ]);
+  return [...first, ...second];
+}
+
+/** Generate for products from stdin, s is the script's spec, see the header */
+export async function run(s) {
+  await configure(s);
+  const reader = Bun.stdin.stream().getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let completed = 0;
+  let skipped = 0;
+  let cached = 0;
+  let resumed = 0;
+  let unregistered = 0;
+  let withIssues = 0;
+  const cache = await loadCache();
+  const alreadyDone = await loadResumed();
+  if (recordDir) await mkdir(recordDir, { recursive: true });
+  if (sanityQuery) await loadSanityDocuments();
+  /** Products whose --sanity-join= keys have no document, by handle */
+  const unmatched = new Map();
+  if (cachePath && !estimate) await mkdir(dirname(cachePath), { recursive: true });
+  const totals = { cost: 0, input: 0, output: 0 };
+  const estimated = { batches: 0, input: 0, output: 0 };
+  const rejected = [];
+  const leftover = new Map();
+
+  /** Collect products, fire batches as they fill, stream results to stdout */
+  const pending = [];
+  let total = 0;
+  let index = 0;
+
+  /**
+   * Batches finish out of order. Results are held until every product
+   * before them is done, so the output follows the input order.
+   **/
+  const results = new Map();
+  let next = 0;
+
+  function flush() {
+    while (results.has(next)) {
+      const line = results.get(next);
+      if (line) console.log(line);
+      results.delete(next);
+      next++;
+    }
+  }
+
+  async function processBatch(batch, ctx) {
+    const outcomes = await generateResilient(batch.map((b) => b.product), ctx, totals);
+    const entries = outcomes.map((o, i) => ({
+      ...batch[i],
+      ...o,
+      issues: o.desc ? validate(o.product, o.desc, ctx) : [],
+    }));
+
+    /** Re-prompt only the products that break a rule, with the issues as feedback */
+    for (let attempt = 1; attempt <= fixAttempts; attempt++) {
+      const failing = entries.filter((e) => e.issues.length);
+      if (failing.length === 0) break;
+
+      log(`${failing.length} ${spec.items} break style rules, regenerating (${attempt}/${fixAttempts})`);
+      const feedback = new Map(failing.map((e) => [spec.unitKey(e.product), e.issues]));
+      const retried = await generateResilient(failing.map((e) => e.product), { ...ctx, feedback }, totals);
+
+      retried.forEach(({ desc }, i) => {
+        if (!desc) return;
+        failing[i].desc = desc;
+        failing[i].issues = validate(failing[i].product, desc, ctx);
+      });
+    }
+
+    const cacheLines = [];
+
+    for (const { product, desc, error: reason, issues, index, hash, leftover: over } of entries) {
+      if (over) {
+        leftover.set(spec.unitKey(product), product);
+        results.set(index, null);
+        continue;
+      }
+      if (reason) {
+        rejected.push(product);
+        results.set(index, null);
+        continue;
+      }
+
+      const row = buildRow(product, ctx, desc, issues);
+      if (row.resources?.length === 0) unregistered++;
+      if (issues.length) {
+        withIssues++;
+        warning(`${product.handle || product.id}: ${issues.map((x) => `${x.field} ${x.message}`).join("; ")}`);
+      }
+      results.set(index, JSON.stringify(row));
+
+      /** Only results that pass the rules are cached, the rest is retried next run */
+      if (!issues.length) {
+        cacheLines.push(JSON.stringify({ hash, id: product.id, locale: ctx.locale, output: desc }) + "\n");
+      }
+      completed++;
+    }
+
+    if (cachePath && cacheLines.length) await appendFile(cachePath, cacheLines.join(""));
+    flush();
+    log(`${completed}/${total} ${spec.noun} generated`);
+  }
+
+  /** Count tokens instead of generating with --estimate */
+  function dispatch(batch, ctx) {
+    if (!estimate) {
+      pending.push(processBatch(batch, ctx));
+      return;
+    }
+    const { input, output } = estimateBatch(batch.map((b) => b.product), ctx);
+    estimated.batches++;
+    estimated.input += input;
+    estimated.output += output;
+  }
+
+  log(estimate ? "Estimating, the model is not called" : "Reading products from stdin...");
+
+  /**
+   * Read stdin and dispatch batches as they fill. There is one open batch per
+   * prompt group and locale, without --locales the locale is null.
+   **/
+  const batches = new Map();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      const source = JSON.parse(line);
+      if (sanityQuery) {
+        const missing = sanityKeys(source).filter((key) => !sanityDocuments.has(key));
+        if (missing.length) unmatched.set(source.handle || source.id, missing);
+      }
+
+      /** One unit per product (or what the spec generates for) and locale */
+      const work = spec.units(source).flatMap((product) =>
+        (locales.length ? locales : [null]).map((locale) => ({ product, locale })),
+      );
+
+      for (const { product, locale } of work) {
+        if (locale ? !needsTranslation(product, locale) : !needsGeneration(product)) {
+          skipped++;
+          continue;
+        }
+        if (alreadyDone.has(`${spec.unitKey(product)}\u0000${locale}`)) {
+          resumed++;
+          continue;
+        }
+
+        const ctx = { group: promptGroup(product), locale };
+        const hash = cacheKey(product, ctx);
+        /** Cached results are validated again, in case the rules changed */
+        if (cache.has(hash) && validate(product, cache.get(hash), ctx).length === 0) {
+          /** --estimate only counts them, its stdout is the estimate alone */
+          if (estimate) {
+            cached++;
+            continue;
+          }
+          const row = buildRow(product, ctx, cache.get(hash));
+          if (row.resources?.length === 0) unregistered++;
+          results.set(index++, JSON.stringify(row));
+          cached++;
+          flush();
+          continue;
+        }
+
+        const key = `${ctx.group}\u0000${locale}`;
+        const open = batches.get(key) || { ctx, batch: [] };
+        open.batch.push({ product, index: index++, hash });
+        batches.set(key, open);
+        total++;
+
+        if (open.batch.length >= batchSize) {
+          log(`${total} ${spec.items} read, ${skipped} skipped, dispatching batch`);
+          dispatch(open.batch, ctx);
+          batches.delete(key);
+        }
+      }
+    }
+  }
+
+  /** Flush remaining products */
+  for (const { ctx, batch } of batches.values()) {
+    dispatch(batch, ctx);
+  }
+
+  log(`${total} ${spec.items} to generate, ${skipped} skipped, ${cached} from cache${resumePath ? `, ${resumed} resumed` : ""}`);
+
+  if (unmatched.size) {
+    warning(`${unmatched.size} products reference ${sanityJoin} values without a Sanity document`);
+    for (const [handle, keys] of unmatched) log(`  ${handle}: ${keys.join(", ")}`);
+  }
+
+  if (estimate) {
+    const price = Object.entries(PRICES).find(([name]) => model.includes(name))?.[1];
+    if (!price) warning(`No price known for model ${model}, cost not estimated`);
+    const cost = price ? (estimated.input * price.input + estimated.output * price.output) / 1e6 : null;
+
+    console.log(JSON.stringify({ model, [spec.items]: total, cached, skipped, ...estimated, cost }));
+    log(`${estimated.batches} batches, ~${estimated.input} input tokens, up to ~${estimated.output} output tokens`);
+    success(price ? `Estimated cost $${cost.toFixed(4)} with ${model}` : `${total} ${spec.items} to generate`);
+    return;
+  }
+
+  await Promise.all(pending);
+
+  if (withIssues) {
+    warning(`${withIssues} ${spec.items} still break style rules, see "issues" in the output. import-descriptions.js skips them unless --force`);
+  }
+
+  if (unregistered) {
+    warning(`${unregistered} translations have no digests to register, export with --translations=${locales.join(",")}`);
+  }
+
+  if (rejected.length) {
+    if (rejectsPath) {
+      await Bun.write(rejectsPath, rejected.map((p) => JSON.stringify(p) + "\n").join(""));
+      warning(`${rejected.length} ${spec.items} failed, written to ${rejectsPath}`);
+    } else {
+      warning(`${rejected.length} ${spec.items} failed, pass --rejects=<file> to keep them`);
+    }
+  }
+
+  if (leftover.size) {
+    const reason = `Budget of $${maxCost} reached, ${leftover.size} ${spec.items} not processed`;
+    if (leftoverPath) {
+      await Bun.write(leftoverPath, [...leftover.values()].map((p) => JSON.stringify(p) + "\n").join(""));
+      warning(`${reason}, written to ${leftoverPath}`);
+    } else {
+      warning(`${reason}, pass --leftover=<file> to keep them`);
+    }
+  }
+
+  log(`Cost $${totals.cost.toFixed(4)}, ${totals.input} input tokens, ${totals.output} output tokens`);
+  success(`${completed} ${spec.noun} generated, ${cached} from cache`);
+}
+
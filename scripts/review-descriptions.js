@@ -0,0 +1,393 @@
+#!/usr/bin/env bun
+
+/**
+ * Build a review report of generated descriptions. Reads the output of
+ * generate-descriptions.js, generate-seo.js or generate-alt-text.js from stdin
+ * (JSONL) and the export it was generated from, and writes two files:
+ *   - <out>.html: self-contained page with the current and generated text,
+ *     a word-level diff, the product image (for alt text, the image itself) and
+ *     approve/reject/edit controls.
+ *     "Export decisions" downloads a JSONL with only approved or edited rows,
+ *     ready for import-descriptions.js: descriptions, SEO fields and alt text
+ *     (applied to the image by "mediaId"). Rows with a locale are skipped by the
+ *     import, those keep their "resources" for translationsRegister, with edits
+ *     applied to the translation values. Decisions are kept in the browser.
+ *   - <out>.md: the same comparison as Markdown, for sharing or PRs.
+ *
+ * Usage:
+ *   cat tmp/20260215-descriptions.jsonl | bun scripts/review-descriptions.js --products=products.jsonl --out=tmp/20260215-review
+ *
+ * Flags:
+ *   --products=   export-products.js output the descriptions were generated from
+ *   --out=        path without extension for the .html and .md files
+ **/
+
+const write = (s) => Bun.stderr.write(s + "\n");
+const log = (...args) => write(args.join(" "));
+const success = (...args) => write(`\x1b[32m✔︎\x1b[0m ${args.join(" ")}`);
+const warning = (...args) => write(`\x1b[33m⚠\x1b[0m ${args.join(" ")}`);
+const error = (...args) => write(`\x1b[31m✘\x1b[0m ${args.join(" ")}`);
+const data = (o) => write(`\x1b[2m${JSON.stringify(o)}\x1b[0m`);
+
+const flag = (name) => {
+  const f = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return f ? f.split("=").slice(1).join("=") : undefined;
+};
+
+const productsPath = flag("products");
+const out = flag("out");
+
+if (!productsPath || !out) {
+  error("--products= and --out= are required");
+  process.exit(1);
+}
+
+/** Keys of a generated row that aren't generated fields */
+const META_KEYS = ["id", "handle", "title", "mediaId", "locale", "issues", "resources"];
+
+/** Generated fields stored on the product, with their translation key */
+const PRODUCT_FIELDS = {
+  seoTitle: { value: (p) => p.seo?.title, translationKey: "meta_title" },
+  seoDescription: { value: (p) => p.seo?.description, translationKey: "meta_description" },
+};
+
+/** Field of a product translation key, metafields are translated as "value" */
+const TRANSLATED_FIELDS = { body_html: "description", meta_title: "seoTitle", meta_description: "seoDescription" };
+
+/**
+ * Where each field of a locale row is in its "resources", as
+ * { field: [resource index, translation index] }, so edits can update them.
+ **/
+function translationTargets(row, product) {
+  const targets = {};
+  (row.resources || []).forEach(({ resourceId, translations }, r) => {
+    translations.forEach(({ key }, t) => {
+      const field = key === "value" ? product?.metafields?.find((m) => m.id === resourceId)?.key : TRANSLATED_FIELDS[key];
+      if (field) targets[field] = [r, t];
+    });
+  });
+  return targets;
+}
+
+const parseJsonl = (text) =>
+  text
+    .split("\n")
+    .filter((l) => l.trim())
+    .map((l) => JSON.parse(l));
+
+/** Current value of a field for a row, the same way generate-descriptions.js reads it. */
+function currentValue(product, key, { locale, mediaId }) {
+  if (!product) return null;
+  if (key === "altText") return product.media?.find((m) => m.id === mediaId)?.image?.altText;
+  if (locale) {
+    if (key === "description") return product.translations?.[locale]?.body_html?.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+    if (PRODUCT_FIELDS[key]) return product.translations?.[locale]?.[PRODUCT_FIELDS[key].translationKey];
+    return product.metafields?.find((m) => m.key === key)?.translations?.[locale]?.value;
+  }
+  if (key === "description") return product.description;
+  if (PRODUCT_FIELDS[key]) return PRODUCT_FIELDS[key].value(product);
+  return product.metafields?.find((m) => m.key === key)?.value;
+}
+
+/** The image a row is about for alt text, otherwise the featured image. */
+const rowImage = (product, row) =>
+  row.mediaId ? product?.media?.find((m) => m.id === row.mediaId)?.image : product?.featuredMedia?.image;
+
+/** Word-level diff (LCS), as a list of { type: "same" | "del" | "ins", text }. */
+function diffWords(from, to) {
+  const a = (from || "").split(/\s+/).filter(Boolean);
+  const b = (to || "").split(/\s+/).filter(Boolean);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, word) => {
+    const last = ops[ops.length - 1];
+    if (last?.type === type) last.text += ` ${word}`;
+    else ops.push({ type, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("del", a[i++]);
+    } else {
+      push("ins", b[j++]);
+    }
+  }
+  while (i < a.length) push("del", a[i++]);
+  while (j < b.length) push("ins", b[j++]);
+
+  return ops;
+}
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const diffHtml = (ops) =>
+  ops
+    .map(({ type, text }) =>
+      type === "same" ? escapeHtml(text) : `<${type}>${escapeHtml(text)}</${type}>`,
+    )
+    .join(" ");
+
+/** Markdown renders inline HTML, so angle brackets in product text are escaped */
+const escapeMarkdown = (s) => String(s ?? "").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const diffMarkdown = (ops) =>
+  ops
+    .map(({ type, text }) => {
+      const t = escapeMarkdown(text);
+      return type === "same" ? t : type === "del" ? `~~${t}~~` : `**${t}**`;
+    })
+    .join(" ");
+
+function renderCard(item, i) {
+  const { row, product, fields } = item;
+  const image = rowImage(product, row);
+  const label = `${row.title || row.handle || row.id}${row.locale ? ` (${row.locale})` : ""}`;
+
+  const fieldsHtml = fields
+    .map((f) => {
+      const before = currentValue(product, f, row);
+      return `
+        <div class="field">
+          <h3>${escapeHtml(f)}</h3>
+          <div class="compare">
+            <div><span class="label">Current</span><p>${escapeHtml(before) || "<em>empty</em>"}</p></div>
+            <div><span class="label">Diff</span><p>${diffHtml(diffWords(before, row[f]))}</p></div>
+          </div>
+          <textarea data-field="${escapeHtml(f)}" rows="3">${escapeHtml(row[f])}</textarea>
+        </div>`;
+    })
+    .join("");
+
+  const issues = row.issues?.length
+    ? `<ul class="issues">${row.issues.map((x) => `<li>${escapeHtml(`${x.field}: ${x.message}`)}</li>`).join("")}</ul>`
+    : "";
+
+  return `
+    <section class="card" data-index="${i}">
+      ${image ? `<img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.altText || "")}" loading="lazy">` : `<div class="noimage"></div>`}
+      <div class="body">
+        <h2>${escapeHtml(label)}</h2>
+        <code>${escapeHtml(row.handle || row.id)}</code>
+        ${issues}
+        ${fieldsHtml}
+        <div class="decision">
+          <label><input type="radio" name="d${i}" value="approved"> Approve</label>
+          <label><input type="radio" name="d${i}" value="rejected"> Reject</label>
+          <span class="status"></span>
+        </div>
+      </div>
+    </section>`;
+}
+
+function renderHtml(items) {
+  /** Rows as the import expects them, embedded for the export button */
+  const rows = items.map(({ row, fields }) => ({
+    id: row.id,
+    handle: row.handle,
+    title: row.title,
+    ...(row.mediaId ? { mediaId: row.mediaId } : {}),
+    ...(row.locale ? { locale: row.locale } : {}),
+    ...Object.fromEntries(fields.map((f) => [f, row[f]])),
+    ...(row.resources ? { resources: row.resources } : {}),
+  }));
+  const json = JSON.stringify(rows).replace(/</g, "\\u003c");
+  const targets = JSON.stringify(items.map(({ row, product }) => translationTargets(row, product))).replace(/</g, "\\u003c");
+  const storageKey = `review:${out}`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Description review</title>
+<style>
+  body { font: 15px/1.5 system-ui, sans-serif; margin: 0; background: #f5f5f4; color: #1c1917; }
+  header { position: sticky; top: 0; background: #fff; border-bottom: 1px solid #e7e5e4; padding: 12px 24px; display: flex; gap: 16px; align-items: center; z-index: 1; }
+  header .counts { margin-right: auto; }
+  main { max-width: 1100px; margin: 24px auto; padding: 0 24px; }
+  .card { display: flex; gap: 20px; background: #fff; border: 2px solid #e7e5e4; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
+  .card.approved { border-color: #16a34a; }
+  .card.edited { border-color: #2563eb; }
+  .card.rejected { border-color: #dc2626; opacity: 0.6; }
+  .card img, .noimage { width: 160px; height: 160px; object-fit: cover; border-radius: 4px; background: #e7e5e4; flex-shrink: 0; }
+  .body { flex: 1; min-width: 0; }
+  h2 { margin: 0; font-size: 18px; }
+  h3 { margin: 12px 0 4px; font-size: 13px; text-transform: uppercase; color: #78716c; }
+  .compare { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+  .compare p { margin: 0; }
+  .label { font-size: 12px; color: #a8a29e; }
+  del { background: #fee2e2; color: #991b1b; }
+  ins { background: #dcfce7; color: #166534; text-decoration: none; }
+  textarea { width: 100%; box-sizing: border-box; margin-top: 8px; font: inherit; padding: 6px; }
+  .issues { color: #b45309; margin: 8px 0; }
+  .decision { margin-top: 12px; display: flex; gap: 16px; align-items: center; }
+  .status { color: #78716c; font-size: 13px; }
+  button { font: inherit; padding: 6px 12px; cursor: pointer; }
+</style>
+</head>
+<body>
+<header>
+  <span class="counts"></span>
+  <button id="approve-all">Approve all pending</button>
+  <button id="export">Export decisions</button>
+</header>
+<main>
+${items.map(renderCard).join("\n")}
+</main>
+<script id="rows" type="application/json">${json}</script>
+<script id="targets" type="application/json">${targets}</script>
+<script>
+  const rows = JSON.parse(document.getElementById("rows").textContent);
+  const targets = JSON.parse(document.getElementById("targets").textContent);
+  const storageKey = ${JSON.stringify(storageKey)};
+  const saved = JSON.parse(localStorage.getItem(storageKey) || "{}");
+  const cards = [...document.querySelectorAll(".card")];
+
+  /** Decision per row: approved, rejected, or edited once a textarea changes */
+  function state(card) {
+    const i = card.dataset.index;
+    const decision = card.querySelector("input:checked")?.value;
+    const edits = {};
+    for (const t of card.querySelectorAll("textarea")) {
+      if (t.value !== rows[i][t.dataset.field]) edits[t.dataset.field] = t.value;
+    }
+    const edited = Object.keys(edits).length > 0;
+    return { decision: decision === "rejected" ? "rejected" : edited ? "edited" : decision || null, edits };
+  }
+
+  function update() {
+    const counts = { approved: 0, edited: 0, rejected: 0, pending: 0 };
+    const store = {};
+    for (const card of cards) {
+      const { decision, edits } = state(card);
+      card.className = "card " + (decision || "");
+      card.querySelector(".status").textContent = decision || "pending";
+      counts[decision || "pending"]++;
+      store[card.dataset.index] = { decision: card.querySelector("input:checked")?.value, edits };
+    }
+    localStorage.setItem(storageKey, JSON.stringify(store));
+    document.querySelector(".counts").textContent =
+      counts.approved + " approved, " + counts.edited + " edited, " + counts.rejected + " rejected, " + counts.pending + " pending";
+  }
+
+  for (const card of cards) {
+    const s = saved[card.dataset.index];
+    if (s?.decision) card.querySelector('input[value="' + s.decision + '"]').checked = true;
+    for (const t of card.querySelectorAll("textarea")) {
+      if (s?.edits?.[t.dataset.field] !== undefined) t.value = s.edits[t.dataset.field];
+    }
+  }
+
+  document.addEventListener("input", update);
+  document.addEventListener("change", update);
+
+  document.getElementById("approve-all").addEventListener("click", () => {
+    for (const card of cards) {
+      if (!state(card).decision) card.querySelector('input[value="approved"]').checked = true;
+    }
+    update();
+  });
+
+  const escapeHtml = (s) =>
+    s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+  /** A row with its edits, also in the translation values of its resources */
+  function withEdits(i, edits) {
+    const row = { ...rows[i], ...edits };
+    if (!rows[i].resources) return row;
+
+    row.resources = structuredClone(rows[i].resources);
+    for (const [field, [r, t]] of Object.entries(targets[i])) {
+      if (!(field in edits)) continue;
+      row.resources[r].translations[t].value = field === "description" ? "<p>" + escapeHtml(edits[field]) + "</p>" : edits[field];
+    }
+    return row;
+  }
+
+  document.getElementById("export").addEventListener("click", () => {
+    const lines = [];
+    for (const card of cards) {
+      const { decision, edits } = state(card);
+      if (decision !== "approved" && decision !== "edited") continue;
+      lines.push(JSON.stringify({ ...withEdits(card.dataset.index, edits), decision }));
+    }
+    const blob = new Blob([lines.map((l) => l + "\\n").join("")], { type: "application/jsonl" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "review-decisions.jsonl";
+    a.click();
+  });
+
+  update();
+</script>
+</body>
+</html>
+`;
+}
+
+function renderMarkdown(items) {
+  const sections = items.map(({ row, product, fields }) => {
+    const image = rowImage(product, row);
+    const lines = [`## ${row.title || row.handle || row.id}${row.locale ? ` (${row.locale})` : ""}`, ""];
+    lines.push(`\`${row.handle || row.id}\``, "");
+    if (image) lines.push(`<img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.altText || "")}" width="160">`, "");
+
+    for (const f of fields) {
+      const before = currentValue(product, f, row);
+      lines.push(`**${f}**`, "");
+      lines.push(`- Current: ${escapeMarkdown(before) || "_empty_"}`);
+      lines.push(`- Generated: ${escapeMarkdown(row[f])}`);
+      lines.push(`- Diff: ${diffMarkdown(diffWords(before, row[f]))}`, "");
+    }
+
+    if (row.issues?.length) {
+      lines.push("Issues:", "", ...row.issues.map((x) => `- ${x.field}: ${escapeMarkdown(x.message)}`), "");
+    }
+    return lines.join("\n");
+  });
+
+  return `# Description review\n\n${items.length} products\n\n${sections.join("\n---\n\n")}`;
+}
+
+async function run() {
+  log(`Reading products from ${productsPath}`);
+  /** By id and by handle, products converted from a CSV only have a handle */
+  const products = new Map();
+  for (const p of parseJsonl(await Bun.file(productsPath).text())) {
+    if (p.id) products.set(p.id, p);
+    if (p.handle) products.set(p.handle, p);
+  }
+
+  log("Reading descriptions from stdin...");
+  const generated = parseJsonl(await Bun.stdin.text());
+
+  const items = generated.map((row) => {
+    const product = (row.id && products.get(row.id)) || products.get(row.handle);
+    if (!product) warning(`${row.handle || row.id} is not in ${productsPath}`);
+    const fields = Object.keys(row).filter((k) => !META_KEYS.includes(k));
+    return { row, product, fields };
+  });
+
+  await Bun.write(`${out}.html`, renderHtml(items));
+  await Bun.write(`${out}.md`, renderMarkdown(items));
+
+  success(`${items.length} products, written to ${out}.html and ${out}.md`);
+}
+
+run().catch((err) => {
+  error(err.message);
+  process.exit(1);
+});